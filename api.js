@@ -5,7 +5,9 @@
 
 const API_CONFIG = {
     baseURL: 'https://fit.cctamcc.site/api/v1',
-    timeout: 30000,
+    timeout: 30000,        // ms per attempt — enforced by apiRequest via AbortController
+    retries: 2,            // extra attempts for idempotent GETs on 502/503/504 / network errors
+    retryBaseDelay: 500,   // ms — exponential backoff base (500, 1000, 2000 … with full jitter)
 };
 
 const TokenManager = {
@@ -16,6 +18,11 @@ const TokenManager = {
     // ff_refresh httpOnly cookie (see requireAuth / refreshAccessToken).
     _accessToken: null,
 
+    // Proactive refresh: renew this long before the JWT's exp so requests never
+    // hit a TOKEN_EXPIRED 401 (see _scheduleRefresh / the visibilitychange hook).
+    REFRESH_LEAD_MS: 60 * 1000,
+    _refreshTimer: null,
+
     getAccessToken() { return this._accessToken; },
 
     // Called after login/register/refresh — stores the access token in memory.
@@ -23,13 +30,56 @@ const TokenManager = {
     // and ff_session as a JS-readable session indicator in the response.
     setTokens(accessToken) {
         this._accessToken = accessToken || null;
+        this._scheduleRefresh();
+    },
+
+    // exp claim of the in-memory JWT in ms, or null when absent / not a JWT.
+    // Decoding only — the signature is the server's business.
+    getAccessTokenExpiry() {
+        try {
+            const part = this._accessToken?.split('.')[1];
+            if (!part) return null;
+            const b64 = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+            const { exp } = JSON.parse(atob(b64));
+            return typeof exp === 'number' ? exp * 1000 : null;
+        } catch { return null; }
+    },
+
+    isAccessTokenExpiring(withinMs = 0) {
+        const exp = this.getAccessTokenExpiry();
+        return exp !== null && exp - Date.now() <= withinMs;
+    },
+
+    // One timer per tab, set for REFRESH_LEAD_MS before exp. Not armed while the
+    // tab is hidden (background timers are throttled anyway); the visibilitychange
+    // handler catches up when the user comes back. A failed silent refresh
+    // (offline) retries every 30s until the token actually expires, after which
+    // the 401 path in apiRequest takes over.
+    _scheduleRefresh(delayOverride) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+        const exp = this.getAccessTokenExpiry();
+        if (!exp || typeof document === 'undefined' || document.visibilityState === 'hidden') return;
+        const delay = delayOverride ?? Math.max(0, exp - Date.now() - this.REFRESH_LEAD_MS);
+        this._refreshTimer = setTimeout(async () => {
+            this._refreshTimer = null;
+            const ok = await refreshAccessToken();
+            if (!ok && this._accessToken && !this.isAccessTokenExpiring(0)) this._scheduleRefresh(30 * 1000);
+        }, delay);
     },
+
 clearTokens() {
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = null;
     this._accessToken = null;
     localStorage.removeItem('user');
     // Clear ALL session caches — stale plan/subscription data from a previous
     // user session must not leak to the next user on the same browser.
     try { sessionStorage.clear(); } catch {}
+    ResponseCache.clear();
+    Entitlements.reset();
+    // Same for the service worker's cached API responses (enrollments etc.)
+    try { navigator.serviceWorker?.controller?.postMessage({ type: 'FF_CLEAR_USER_CACHE' }); } catch {}
 },
 
 
@@ -50,6 +100,7 @@ clearTokens() {
     },
     setUser(user) {
         try { localStorage.setItem('user', JSON.stringify(user)); } catch {}
+        TabSync.post({ type: 'user' });
     },
 };
 
@@ -124,32 +175,332 @@ const Toast = {
     info:    (msg, duration) => Toast.show(msg, 'info',    duration),
 };
 
+// ── ERRORS ────────────────────────────────────────────────────────────────────
+// Every failure from apiRequest is an ApiError, so pages can branch on
+// err.status / err.code instead of string-matching err.message.
+//   status      HTTP status (0 for NetworkError)
+//   code        server error code ('TOKEN_EXPIRED', 'PLAN_LIMIT_REACHED', 'INVALID_PHONE' …)
+//   fieldErrors { field: message } from validation failures ({} when none)
+//   requestId   server request id (X-Request-Id header or body.requestId) for support/admin
+//   retryAfter  ms to wait before retrying (parsed Retry-After), or null
+//   retryable   true for network failures, timeouts, 408/429/502/503/504
+//   data        the parsed response body, for anything not covered above
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, fieldErrors = {}, requestId = null, retryAfter = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
+        this.data = data;
+    }
+
+    get retryable() {
+        return [408, 429, 502, 503, 504].includes(this.status);
+    }
+
+    static fromResponse(response, data = {}) {
+        const message = data.error || data.message || `Request failed (${response.status})`;
+        return new ApiError(typeof message === 'string' ? message : `Request failed (${response.status})`, {
+            status:      response.status,
+            code:        data.code || data.errorCode || null,
+            fieldErrors: _parseFieldErrors(data),
+            requestId:   response.headers?.get?.('X-Request-Id') || data.requestId || null,
+            retryAfter:  _parseRetryAfter(response.headers?.get?.('Retry-After')),
+            data,
+        });
+    }
+}
+
+// Connectivity failure or timeout — the request may never have reached the server.
+// code is 'NETWORK_ERROR' or 'TIMEOUT'.
+class NetworkError extends ApiError {
+    constructor(message = 'Network error. Check your connection.', { timeout = false } = {}) {
+        super(message, { status: 0, code: timeout ? 'TIMEOUT' : 'NETWORK_ERROR' });
+        this.name = 'NetworkError';
+        this.timeout = timeout;
+    }
+
+    get retryable() { return true; }
+}
+
+// Input rejected on the device before any request is made. Deliberately not an
+// ApiError: it has no HTTP status, so status branches and the offline outbox
+// never mistake it for a server response. code is always 'VALIDATION_ERROR'.
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = 'VALIDATION_ERROR';
+    }
+}
+
+// Validation payloads arrive as { errors: [{ field|path|param, message|msg }] }
+// (express-validator / zod style) or { errors: { field: message } } — normalise both.
+function _parseFieldErrors(data) {
+    const src = data?.errors || data?.fieldErrors || data?.details;
+    const out = {};
+    if (Array.isArray(src)) {
+        src.forEach(e => {
+            const field = e?.field || e?.param || (Array.isArray(e?.path) ? e.path.join('.') : e?.path);
+            if (field) out[field] = e.message || e.msg || 'Invalid value';
+        });
+    } else if (src && typeof src === 'object') {
+        Object.entries(src).forEach(([field, msg]) => {
+            out[field] = Array.isArray(msg) ? msg[0] : (typeof msg === 'string' ? msg : msg?.message || 'Invalid value');
+        });
+    }
+    return out;
+}
+
+// Retry-After is either delta-seconds or an HTTP date → milliseconds from now
+function _parseRetryAfter(value) {
+    if (!value) return null;
+    const secs = Number(value);
+    if (!Number.isNaN(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// ── RESPONSE CACHE ────────────────────────────────────────────────────────────
+// Opt-in GET cache used by apiRequest. Every page load repeats the same reads
+// (/users/me, /progress/stats, /subscriptions/current …) — getBiometricAnalytics
+// alone fires five of them — so:
+//   • GETs matching a policy below are cached for that policy's TTL, in memory
+//     and mirrored to sessionStorage so the next page load reuses them.
+//   • Identical GETs in flight at the same time share ONE network request,
+//     whether or not the endpoint is cached.
+//   • A successful mutation invalidates the tags of the matching MUTATION_TAGS
+//     rule (e.g. POST /progress → 'progress'), plus any tags passed explicitly
+//     via apiRequest(endpoint, { invalidates: [...] }).
+// Callers can bypass a cached entry with { fresh: true } or opt an ad-hoc GET in
+// with { ttl, tags }. clearTokens() empties sessionStorage, and with it the cache.
+const ResponseCache = {
+    STORAGE_PREFIX: 'ff_api_cache_v1:',
+
+    POLICIES: [
+        { match: /^\/auth\/me$/,                  ttl: 60 * 1000,       tags: ['user'] },
+        { match: /^\/users\/me$/,                 ttl: 60 * 1000,       tags: ['user'] },
+        { match: /^\/progress\/metrics\/history/, ttl: 60 * 1000,       tags: ['metrics', 'progress'] },
+        { match: /^\/progress\/stats/,            ttl: 60 * 1000,       tags: ['progress'] },
+        { match: /^\/progress\/streaks$/,         ttl: 60 * 1000,       tags: ['progress'] },
+        { match: /^\/progress\/history/,          ttl: 60 * 1000,       tags: ['progress'] },
+        { match: /^\/progress\/achievements$/,    ttl: 60 * 1000,       tags: ['progress'] },
+        { match: /^\/programs\/my-enrollments$/,  ttl: 60 * 1000,       tags: ['programs'] },
+        { match: /^\/programs\/custom$/,          ttl: 60 * 1000,       tags: ['programs'] },
+        { match: /^\/subscriptions\/current$/,    ttl: 5 * 60 * 1000,   tags: ['subscription'] },
+        { match: /^\/subscriptions\/plans$/,      ttl: 30 * 60 * 1000,  tags: ['plans'] },
+        { match: /^\/nutrition\/(diary|totals)/,   ttl: 60 * 1000,       tags: ['nutrition'] },
+        { match: /^\/nutrition\/targets$/,         ttl: 5 * 60 * 1000,   tags: ['nutrition'] },
+    ],
+
+    MUTATION_TAGS: [
+        { match: /^\/progress/,       tags: ['progress'] },
+        { match: /^\/users\//,        tags: ['user', 'metrics'] },
+        { match: /^\/auth\//,         tags: ['user'] },
+        { match: /^\/programs/,       tags: ['programs'] },
+        { match: /^\/ai\/(?!suggest-progression)/, tags: ['programs'] },
+        { match: /^\/subscriptions\//, tags: ['subscription'] },
+        { match: /^\/nutrition/,     tags: ['nutrition'] },
+    ],
+
+    _memory: new Map(),   // endpoint → { ts, ttl, tags, data }
+    _inFlight: new Map(), // endpoint → Promise<data>
+
+    policyFor(endpoint, options = {}) {
+        if (options.ttl) return { ttl: options.ttl, tags: options.tags || [] };
+        return this.POLICIES.find(p => p.match.test(endpoint)) || null;
+    },
+
+    get(endpoint) {
+        let entry = this._memory.get(endpoint);
+        if (!entry) {
+            try {
+                const raw = sessionStorage.getItem(this.STORAGE_PREFIX + endpoint);
+                if (raw) { entry = JSON.parse(raw); this._memory.set(endpoint, entry); }
+            } catch {}
+        }
+        if (!entry) return undefined;
+        if (Date.now() - entry.ts >= entry.ttl) { this._delete(endpoint); return undefined; }
+        return entry.data;
+    },
+
+    set(endpoint, data, { ttl, tags = [] }) {
+        const entry = { ts: Date.now(), ttl, tags, data };
+        this._memory.set(endpoint, entry);
+        try { sessionStorage.setItem(this.STORAGE_PREFIX + endpoint, JSON.stringify(entry)); } catch {}
+    },
+
+    _delete(endpoint) {
+        this._memory.delete(endpoint);
+        try { sessionStorage.removeItem(this.STORAGE_PREFIX + endpoint); } catch {}
+    },
+
+    // Drop every entry carrying any of the given tags
+    invalidate(tags) {
+        const list = [].concat(tags || []);
+        if (!list.length) return;
+        const hit = entry => (entry?.tags || []).some(t => list.includes(t));
+        for (const [endpoint, entry] of this._memory) if (hit(entry)) this._delete(endpoint);
+        try {
+            for (let i = sessionStorage.length - 1; i >= 0; i--) {
+                const key = sessionStorage.key(i);
+                if (!key || !key.startsWith(this.STORAGE_PREFIX)) continue;
+                let entry = null;
+                try { entry = JSON.parse(sessionStorage.getItem(key)); } catch {}
+                if (!entry || hit(entry)) sessionStorage.removeItem(key);
+            }
+        } catch {}
+    },
+
+    // Also tells the other tabs (TabSync) so their copies go stale at the same time
+    invalidateForMutation(endpoint, extraTags) {
+        const tags = this.MUTATION_TAGS.filter(r => r.match.test(endpoint)).flatMap(r => r.tags);
+        const all = [...new Set([...tags, ...[].concat(extraTags || [])])];
+        this.invalidate(all);
+        if (all.length) TabSync.post({ type: 'invalidate', tags: all });
+    },
+
+    clear() {
+        this._memory.clear();
+        this._inFlight.clear();
+        try {
+            for (let i = sessionStorage.length - 1; i >= 0; i--) {
+                const key = sessionStorage.key(i);
+                if (key && key.startsWith(this.STORAGE_PREFIX)) sessionStorage.removeItem(key);
+            }
+        } catch {}
+    },
+};
+
+// Callers routinely patch the payload they get back (r.data = …), so every caller
+// gets its own copy of a cached / shared response.
+function _cloneData(data) {
+    if (data === undefined || data === null || typeof data !== 'object') return data;
+    try { return structuredClone(data); } catch { return JSON.parse(JSON.stringify(data)); }
+}
+
+// Public entry point — the cache / de-dup layer in front of _sendRequest.
+// Extra options (stripped before fetch): ttl, tags, fresh, invalidates,
+// plus timeout / retries / signal handled by _sendRequest.
+// A request with a caller signal is never shared with other callers — aborting
+// it must not cancel somebody else's identical GET.
 async function apiRequest(endpoint, options = {}) {
+    const { ttl, tags, fresh, invalidates, ...fetchOptions } = options;
+    const method = String(fetchOptions.method || 'GET').toUpperCase();
+
+    if (method !== 'GET') {
+        const data = await _sendRequest(endpoint, fetchOptions);
+        ResponseCache.invalidateForMutation(endpoint, invalidates);
+        return data;
+    }
+
+    const policy = ResponseCache.policyFor(endpoint, { ttl, tags });
+    if (policy && !fresh) {
+        const cached = ResponseCache.get(endpoint);
+        if (cached !== undefined) return _cloneData(cached);
+    }
+
+    const shareable = !fetchOptions.signal;
+    let pending = shareable ? ResponseCache._inFlight.get(endpoint) : null;
+    if (!pending) {
+        pending = _sendRequest(endpoint, fetchOptions).then(data => {
+            if (policy) ResponseCache.set(endpoint, data, policy);
+            if (invalidates) {
+                ResponseCache.invalidate(invalidates);
+                TabSync.post({ type: 'invalidate', tags: [].concat(invalidates) });
+            }
+            return data;
+        });
+        if (shareable) {
+            ResponseCache._inFlight.set(endpoint, pending);
+            pending.finally(() => { ResponseCache._inFlight.delete(endpoint); }).catch(() => {});
+        }
+    }
+    return _cloneData(await pending);
+}
+
+// Retry wrapper around _sendOnce. Only idempotent GETs are retried by default
+// (pass { retries } to override), only on 502/503/504 or NetworkError, and never
+// after the caller aborted. Retry-After from the server wins over the backoff.
+async function _sendRequest(endpoint, options = {}) {
+    const { timeout = API_CONFIG.timeout, retries, signal, ...fetchOptions } = options;
+    const method = String(fetchOptions.method || 'GET').toUpperCase();
+    const maxRetries = retries ?? (method === 'GET' ? API_CONFIG.retries : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await _sendOnce(endpoint, fetchOptions, { timeout, signal });
+        } catch (err) {
+            const transient = err instanceof NetworkError || [502, 503, 504].includes(err?.status);
+            if (attempt >= maxRetries || signal?.aborted || !transient) throw err;
+            await _sleep(err.retryAfter ?? _backoffDelay(attempt), signal);
+        }
+    }
+}
+
+// Full jitter: random delay in [0, base × 2^attempt] — spreads retries from many
+// clients hitting the same 503 instead of having them stampede back in lockstep.
+function _backoffDelay(attempt) {
+    return Math.round(Math.random() * API_CONFIG.retryBaseDelay * 2 ** attempt);
+}
+
+function _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(signal.reason ?? new DOMException('Aborted', 'AbortError')); return; }
+        const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function _sendOnce(endpoint, options, { timeout, signal }) {
     const url = `${API_CONFIG.baseURL}${endpoint}`;
     const headers = { 'Content-Type': 'application/json', ...options.headers };
-    const token = TokenManager.getAccessToken();
-    if (token) headers['Authorization'] = `Bearer ${token}`;
     // credentials:'include' sends the httpOnly refreshToken cookie on every request
     // Required for cross-origin requests (GitHub Pages → Vercel backend)
 
-    const config = { credentials: 'include', cache: 'no-store', ...options, headers };
-    
-    
+    // Token already expired (laptop slept through the scheduled refresh) — renew it
+    // first rather than spending a round trip on a guaranteed TOKEN_EXPIRED 401.
+    if (TokenManager.getAccessToken() && TokenManager.isAccessTokenExpiring(5000)) {
+        await refreshAccessToken();
+    }
+    const token = TokenManager.getAccessToken();
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    // One controller per attempt, aborted either by the timeout or by the caller's
+    // signal. The timeout covers reading the body too, so a stalled stream can't
+    // leave LoadingManager spinning forever.
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+    const onCallerAbort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) controller.abort(signal.reason);
+        else signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    const config = { credentials: 'include', cache: 'no-store', ...options, headers, signal: controller.signal };
+
     try {
         let response = await fetch(url, config);
         // Handle 401: if the access token has expired, attempt a silent refresh
         // then retry the original request once. Any other 401 falls through to
         // handleResponse which throws the server's error message.
         if (response.status === 401) {
-            let body = {};
-            // Clone before reading so the original stream stays intact for handleResponse
-            try { body = await response.clone().json(); } catch { /* non-JSON 401 body */ }
+            const authErr = await _errorFromResponse(response);
 
-            if (body.code === 'TOKEN_EXPIRED' || TokenManager.hasSession()) {
+            if (authErr.code === 'TOKEN_EXPIRED' || TokenManager.isAccessTokenExpiring(0) || TokenManager.hasSession()) {
                 // TOKEN_EXPIRED: access token present but expired — refresh and retry.
+                // isAccessTokenExpiring: our own copy of exp says so, whatever the body.
                 // hasSession() with no code: ff_access cookie also expired (>15 min on
                 // the page) but ff_refresh cookie may still be valid (7-day window).
-                // In both cases attempt one silent refresh before giving up.
+                // In all cases attempt one silent refresh before giving up.
                 const refreshed = await refreshAccessToken();
                 if (refreshed) {
                     // Rebuild headers with the new access token and retry once
@@ -159,19 +510,32 @@ async function apiRequest(endpoint, options = {}) {
                     response = await fetch(url, { ...config, headers: retryHeaders });
                     return await handleResponse(response);
                 }
-                // Refresh also failed — session is dead, force re-login
+                // Refresh also failed — session is dead in every tab, force re-login
                 TokenManager.clearTokens();
+                TabSync.post({ type: 'logout' });
                 window.location.href = '/login';
-                throw new Error('Session expired. Please log in again.');
+                throw new ApiError('Session expired. Please log in again.', {
+                    status: 401, code: 'SESSION_EXPIRED', requestId: authErr.requestId,
+                });
             }
-            // Other 401 (wrong credentials, account locked, etc.) — let handleResponse
-            // extract and throw the server's error message as usual
+            // Other 401 (wrong credentials, account locked, etc.) — surface the
+            // server's error as-is
+            throw authErr;
         }
 
         return await handleResponse(response);
     } catch (error) {
-        if (error.name === 'TypeError') throw new Error('Network error. Check your connection.');
+        if (timedOut) throw new NetworkError('Request timed out. Check your connection.', { timeout: true });
+        // Caller cancelled (navigated away, newer filter) — propagate the AbortError as-is
+        if (signal?.aborted) throw error;
+        // fetch() rejects with TypeError when the request never completed. Surface it as
+        // NetworkError so callers (e.g. the offline outbox) can tell "never reached the
+        // server" apart from a server-side rejection.
+        if (error.name === 'TypeError') throw new NetworkError();
         throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onCallerAbort);
     }
 }
 
@@ -190,13 +554,23 @@ async function handleResponse(response) {
     // (common when Authorization header prevents browser caching on public routes).
     // SyntaxError is not caught by the TypeError guard in apiRequest, so it
     // silently breaks every call. text()→JSON.parse is always safe.
+    const data = await _readJsonBody(response);
+    if (!response.ok) throw ApiError.fromResponse(response, data);
+    return data;
+}
+
+async function _readJsonBody(response) {
     const text = await response.text();
     let data = {};
     try { if (text) data = JSON.parse(text); } catch { /* non-JSON body, keep {} */ }
-    if (!response.ok) throw new Error(data.error || data.message || `Request failed (${response.status})`);
     return data;
 }
 
+// Consumes the body — only for responses that are definitely failures
+async function _errorFromResponse(response) {
+    return ApiError.fromResponse(response, await _readJsonBody(response));
+}
+
 // FIX 1: Deduplication gate — if a refresh is already in-flight, every concurrent
 // caller awaits the SAME Promise rather than each firing its own POST.
 //
@@ -207,6 +581,10 @@ async function handleResponse(response) {
 // clearTokens() → redirect to /login. User is logged out every 15 minutes.
 let _refreshInFlight = null;
 
+// Set when the last refresh attempt never reached the server (offline). requireAuth
+// uses it to let a known user into the cached offline shell instead of /login.
+let _refreshFailedOffline = false;
+
 let _authReady = null;
 let _authReadyResolve = null;
 function _getAuthReadyPromise() {
@@ -220,28 +598,144 @@ function _signalAuthReady(success) {
     if (_authReadyResolve) { _authReadyResolve(success); _authReadyResolve = null; }
 }
 
-async function refreshAccessToken() {
-    if (_refreshInFlight) return _refreshInFlight;
+// ── CROSS-TAB SYNC ────────────────────────────────────────────────────────────
+// Keeps every open FlowFit tab on the same session:
+//   • refresh election — only one tab at a time may POST /auth/refresh (the
+//     server rotates ff_refresh, so two concurrent refreshes log one tab out).
+//     Uses the Web Locks API, falling back to a short localStorage lease.
+//   • token sharing    — the winner broadcasts the new access token; tabs that
+//     were queued for the lock adopt it instead of refreshing again.
+//   • logout / user    — AuthAPI.logout and a dead session log out every tab;
+//     TokenManager.setUser re-renders the sidebar everywhere.
+//   • cache invalidation — successful mutations broadcast their cache tags, so a
+//     subscription change in one tab drops the cached plan in all of them.
+// BroadcastChannel carries the messages; where it is missing, a localStorage
+// key + storage event does. The access token itself is only ever sent over
+// BroadcastChannel — never written to localStorage, even transiently — so in
+// fallback mode tabs just serialise their own refreshes through the lease.
+const TabSync = {
+    CHANNEL: 'flowfit-tabs',
+    STORAGE_KEY: 'ff_tab_sync',
+    LOCK_NAME: 'ff_token_refresh',
+    LEASE_KEY: 'ff_refresh_lease',
+    LEASE_MS: 15000,
+    tabId: _randomId(),
+    lastTokenAt: 0,
+    _channel: null,
 
-    _refreshInFlight = (async () => {
+    init() {
+        if (this._channel !== null) return;
         try {
-            const response = await fetch(`${API_CONFIG.baseURL}/auth/refresh`, {
-                method:      'POST',
-                credentials: 'include',
-                headers:     { 'Content-Type': 'application/json' },
+            this._channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(this.CHANNEL) : false;
+        } catch { this._channel = false; }
+        if (this._channel) {
+            this._channel.onmessage = e => this._receive(e.data);
+        } else {
+            window.addEventListener('storage', e => {
+                if (e.key !== this.STORAGE_KEY || !e.newValue) return;
+                try { this._receive(JSON.parse(e.newValue)); } catch {}
             });
+        }
+    },
+
+    post(msg) {
+        this.init();
+        const payload = { ...msg, from: this.tabId, at: Date.now() };
+        if (this._channel) {
+            try { this._channel.postMessage(payload); } catch {}
+            return;
+        }
+        if (msg.type === 'token') return; // never persist a token, see above
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(payload));
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch {}
+    },
 
-            
+    _receive(msg) {
+        if (!msg || msg.from === this.tabId) return;
+        switch (msg.type) {
+            case 'token':
+                // Only adopt tokens for the user this tab already belongs to
+                if (typeof msg.token === 'string' && TokenManager.getUser()) {
+                    TokenManager.setTokens(msg.token);
+                    this.lastTokenAt = Date.now();
+                }
+                break;
+            case 'logout':
+                TokenManager.clearTokens();
+                if (_pageRequiresAuth) window.location.href = '/login';
+                else updateNavigation();
+                break;
+            case 'user':
+                ResponseCache.invalidate('user');
+                SidebarUser.populate();
+                updateNavigation();
+                break;
+            case 'notif':
+                NotificationStream._emit(msg.kind, msg.data, { relay: false });
+                break;
+            case 'invalidate':
+                ResponseCache.invalidate(msg.tags);
+                if ((msg.tags || []).includes('subscription')) {
+                    Entitlements.reset();
+                    Entitlements.load().catch(() => {});
+                    SidebarUser._refreshBadgeFromAPI();
+                }
+                break;
+        }
+    },
 
-            if (!response.ok) return false;
+    // Run fn while holding the cross-tab refresh lock
+    async withRefreshLock(fn) {
+        if (navigator.locks?.request) return navigator.locks.request(this.LOCK_NAME, fn);
+        const deadline = Date.now() + this.LEASE_MS;
+        while (!this._takeLease()) {
+            if (Date.now() > deadline) break; // holder crashed without releasing — proceed
+            await _sleep(250);
+        }
+        try { return await fn(); }
+        finally { this._releaseLease(); }
+    },
 
-            const data = await response.json();
+    _takeLease() {
+        try {
+            const cur = JSON.parse(localStorage.getItem(this.LEASE_KEY) || 'null');
+            if (cur && cur.owner !== this.tabId && cur.expires > Date.now()) return false;
+            localStorage.setItem(this.LEASE_KEY, JSON.stringify({ owner: this.tabId, expires: Date.now() + this.LEASE_MS }));
+            // Last writer wins — re-read to confirm another tab didn't race us
+            return JSON.parse(localStorage.getItem(this.LEASE_KEY)).owner === this.tabId;
+        } catch { return true; }
+    },
 
-            if (data.success && typeof data.data?.accessToken === 'string' && data.data.accessToken) {
-                TokenManager.setTokens(data.data.accessToken);
-                return true;
-            }
-            return false;
+    _releaseLease() {
+        try {
+            const cur = JSON.parse(localStorage.getItem(this.LEASE_KEY) || 'null');
+            if (cur?.owner === this.tabId) localStorage.removeItem(this.LEASE_KEY);
+        } catch {}
+    },
+};
+
+function _randomId() {
+    try { if (crypto?.randomUUID) return crypto.randomUUID(); } catch {}
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Set by requireAuth — a tab told to log out only leaves pages that need a session
+let _pageRequiresAuth = false;
+
+async function refreshAccessToken() {
+    if (_refreshInFlight) return _refreshInFlight;
+
+    _refreshInFlight = (async () => {
+        const queuedAt = Date.now();
+        try {
+            return await TabSync.withRefreshLock(async () => {
+                // Another tab refreshed while we waited for the lock — its token
+                // arrived over the channel, and our refresh cookie is already rotated.
+                if (TabSync.lastTokenAt >= queuedAt && TokenManager.getAccessToken()) return true;
+                return await _refreshFromServer();
+            });
         } catch {
             return false;
         } finally {
@@ -252,6 +746,44 @@ async function refreshAccessToken() {
     return _refreshInFlight;
 }
 
+// Runs while the cross-tab refresh lock is held, so a hung request must not keep
+// every tab waiting: the same per-request timeout apiRequest uses, capped below the
+// localStorage lease so the lease never expires under an in-flight refresh.
+async function _refreshFromServer() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.min(API_CONFIG.timeout, TabSync.LEASE_MS - 1000));
+    try {
+        let response;
+        try {
+            response = await fetch(`${API_CONFIG.baseURL}/auth/refresh`, {
+                method:      'POST',
+                credentials: 'include',
+                headers:     { 'Content-Type': 'application/json' },
+                signal:      controller.signal,
+            });
+            _refreshFailedOffline = false;
+        } catch (err) {
+            _refreshFailedOffline = true;
+            throw err;
+        }
+
+        if (!response.ok) return false;
+
+        const data = await response.json();
+
+        if (data.success && typeof data.data?.accessToken === 'string' && data.data.accessToken) {
+            TokenManager.setTokens(data.data.accessToken);
+            TabSync.post({ type: 'token', token: data.data.accessToken });
+            return true;
+        }
+        return false;
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
 // ── AUTH ──────────────────────────────────────────────────────────────────────
 const AuthAPI = {
     checkSession: async () => {
@@ -302,6 +834,7 @@ const AuthAPI = {
     // This prevents any window where stale cookies/state could
     // be picked up by the next user on the same browser.
     TokenManager.clearTokens();
+    TabSync.post({ type: 'logout' });
     try {
         await apiRequest('/auth/logout', { method: 'POST' });
     } catch (e) { console.error('Logout error:', e); }
@@ -330,8 +863,9 @@ const NotificationsAPI = {
     //   2. Handles TOKEN_EXPIRED by calling refreshAccessToken() + retrying
     //   3. Handles the _refreshInFlight deduplication gate
 
-    getAll: async (limit = 30) =>
-        apiRequest(`/notifications?limit=${limit}`)
+    // before: createdAt cursor of the oldest notification already shown (next page)
+    getAll: async (limit = 30, { before } = {}) =>
+        apiRequest(`/notifications${toQueryString({ limit, before })}`)
             .then(data => data ?? { notifications: [], unreadCount: 0 })
             .catch(() => ({ notifications: [], unreadCount: 0 })),
 
@@ -343,6 +877,164 @@ const NotificationsAPI = {
     markRead:    async (id) => apiRequest(`/notifications/${id}/read`,  { method: 'PUT' }),
     markAllRead: async ()   => apiRequest('/notifications/read-all',    { method: 'PUT' }),
     delete:      async (id) => apiRequest(`/notifications/${id}`,       { method: 'DELETE' }),
+
+    // Live updates — see NotificationStream. Returns an unsubscribe function.
+    //   NotificationsAPI.subscribe({ onNotification(n), onUnreadCount(count), onAchievement(a) })
+    subscribe: (handlers) => NotificationStream.subscribe(handlers),
+};
+
+// ── NOTIFICATION STREAM ───────────────────────────────────────────────────────
+// Real-time notifications for every widget on the page via NotificationsAPI.subscribe().
+//   • One Server-Sent Events connection per browser, not per tab: the tab holding
+//     the 'ff_notif_stream' Web Lock owns the EventSource and relays events to the
+//     other tabs over TabSync. When it closes, the next tab takes the lock over.
+//     (No Web Locks → every tab connects on its own.)
+//   • Events: 'notification' (new notification object), 'unread' ({ count }),
+//     'achievement' (unlocked achievement).
+//   • EventSource cannot send an Authorization header, so the stream authenticates
+//     with the httpOnly ff_access cookie (withCredentials). A dropped stream refreshes
+//     the token (which re-sets the cookie) and reconnects with exponential backoff.
+//   • Until the stream is open — or if it never opens (endpoint not deployed) —
+//     the unread count is polled every 90s, as the pages used to do themselves.
+const NotificationStream = {
+    POLL_MS: 90 * 1000,
+    MAX_BACKOFF_MS: 60 * 1000,
+    SSE_ATTEMPTS_BEFORE_GIVING_UP: 3, // consecutive failures with the stream never opened
+    LOCK_NAME: 'ff_notif_stream',
+
+    _subscribers: new Set(),
+    _started: false,
+    _isLeader: false,
+    _releaseLock: null,
+    _source: null,
+    _everOpened: false,
+    _attempt: 0,
+    _retryTimer: null,
+    _pollTimer: null,
+    _lastCount: null,
+    _seenIds: new Set(),
+
+    subscribe(handlers = {}) {
+        this._subscribers.add(handlers);
+        if (this._lastCount !== null) handlers.onUnreadCount?.(this._lastCount);
+        this._start();
+        return () => {
+            this._subscribers.delete(handlers);
+            if (!this._subscribers.size) this._stop();
+        };
+    },
+
+    _start() {
+        if (this._started) return;
+        this._started = true;
+        TabSync.init();
+        // Seed this tab's widgets right away — a follower would otherwise wait for
+        // the leader's next event before showing any count.
+        this._pollOnce({ relay: false });
+        if (navigator.locks?.request) {
+            navigator.locks.request(this.LOCK_NAME, () => new Promise(release => {
+                if (!this._started) { release(); return; }
+                this._releaseLock = release;
+                this._isLeader = true;
+                this._connect();
+            })).catch(() => {});
+        } else {
+            this._isLeader = true;
+            this._connect();
+        }
+    },
+
+    _stop() {
+        this._started = false;
+        this._isLeader = false;
+        if (this._source) { this._source.close(); this._source = null; }
+        clearTimeout(this._retryTimer);
+        this._stopPolling();
+        if (this._releaseLock) { this._releaseLock(); this._releaseLock = null; }
+    },
+
+    _connect() {
+        if (!this._started || !this._isLeader) return;
+        const gaveUp = !this._everOpened && this._attempt >= this.SSE_ATTEMPTS_BEFORE_GIVING_UP;
+        if (typeof EventSource === 'undefined' || gaveUp) { this._startPolling(); return; }
+
+        const es = new EventSource(`${API_CONFIG.baseURL}/notifications/stream`, { withCredentials: true });
+        this._source = es;
+        const parse = e => { try { return JSON.parse(e.data); } catch { return null; } };
+
+        es.onopen = () => {
+            this._everOpened = true;
+            this._attempt = 0;
+            this._stopPolling();
+        };
+        es.addEventListener('notification', e => {
+            const n = parse(e);
+            if (n && !this._seenIds.has(n.id)) { this._seenIds.add(n.id); this._emit('notification', n); }
+        });
+        es.addEventListener('unread', e => {
+            const d = parse(e);
+            if (d && typeof d.count === 'number') this._emit('unread', d.count);
+        });
+        es.addEventListener('achievement', e => {
+            const a = parse(e);
+            if (a) this._emit('achievement', a);
+        });
+        es.onerror = () => {
+            // CONNECTING = the browser is already retrying; CLOSED = it gave up (HTTP error)
+            if (es.readyState !== EventSource.CLOSED) return;
+            es.close();
+            if (this._source === es) this._source = null;
+            this._scheduleReconnect();
+        };
+    },
+
+    _scheduleReconnect() {
+        this._startPolling(); // no gap in counts while disconnected
+        const delay = Math.min(this.MAX_BACKOFF_MS, 1000 * 2 ** this._attempt) * (0.5 + Math.random() / 2);
+        this._attempt++;
+        clearTimeout(this._retryTimer);
+        this._retryTimer = setTimeout(async () => {
+            // Most drops are the 15-minute ff_access cookie expiring — renew it first
+            if (TokenManager.getUser()) await refreshAccessToken();
+            this._connect();
+        }, delay);
+    },
+
+    _startPolling() {
+        if (this._pollTimer) return;
+        this._pollTimer = setInterval(() => this._pollOnce(), this.POLL_MS);
+    },
+
+    _stopPolling() {
+        clearInterval(this._pollTimer);
+        this._pollTimer = null;
+    },
+
+    async _pollOnce({ relay = true } = {}) {
+        if (!isAuthenticated()) return;
+        const prev = this._lastCount;
+        const { count = 0 } = await NotificationsAPI.getUnreadCount();
+        if (count !== prev) this._emit('unread', count, { relay });
+        if (prev === null || count <= prev) return;
+        // Count went up — fetch the newest few to push the actual notifications
+        const { notifications = [] } = await NotificationsAPI.getAll(10);
+        notifications.filter(n => !n.readAt && !this._seenIds.has(n.id)).reverse().forEach(n => {
+            this._seenIds.add(n.id);
+            this._emit('notification', n, { relay });
+            if (n.type === 'achievement') this._emit('achievement', n, { relay });
+        });
+    },
+
+    // relay=false for events that came from another tab (or a local-only seed poll)
+    _emit(kind, data, { relay = true } = {}) {
+        if (kind === 'unread') this._lastCount = data;
+        if (kind === 'notification' && data?.id) this._seenIds.add(data.id);
+        const method = { notification: 'onNotification', unread: 'onUnreadCount', achievement: 'onAchievement' }[kind];
+        this._subscribers.forEach(h => {
+            try { h[method]?.(data); } catch (err) { console.error('[NotificationStream]', err); }
+        });
+        if (relay && this._isLeader) TabSync.post({ type: 'notif', kind, data });
+    },
 };
 
 // ── WORKOUTS ──────────────────────────────────────────────────────────────────
@@ -378,8 +1070,10 @@ async function _resolveWorkoutsPath() {
     return _workoutsBasePath;
 }
 
+// Both list calls accept { signal } so a page can cancel a stale request
+// (e.g. a newer search, or leaving /workouts mid-load).
 const WorkoutsAPI = {
-    getExercises: async (filters = {}) => {
+    getExercises: async (filters = {}, { signal } = {}) => {
         const base = await _resolveWorkoutsPath();
         // Strip undefined/null/empty values so the server never receives garbage params
         const clean = Object.fromEntries(
@@ -388,13 +1082,13 @@ const WorkoutsAPI = {
                 .map(([k, v]) => [k, String(v)])
         );
         const params = new URLSearchParams(clean);
-        const res = await apiRequest(`${base}?${params}`);
+        const res = await apiRequest(`${base}?${params}`, { signal });
         if (res && res.success && !Array.isArray(res.data)) res.data = [];
         return res;
     },
-    searchExercises: async (query) => {
+    searchExercises: async (query, { signal } = {}) => {
         const base = await _resolveWorkoutsPath();
-        const r = await apiRequest(`${base}/search?q=${encodeURIComponent(query)}`);
+        const r = await apiRequest(`${base}/search?q=${encodeURIComponent(query)}`, { signal });
         if (r && r.success && !Array.isArray(r.data)) r.data = [];
         return r;
     },
@@ -446,83 +1140,1055 @@ function _normalizeEnrollment(enrollment) {
     };
 }
 
-const ProgramsAPI = {
-    getPrograms: async (filters = {}) => {
-        const clean = Object.fromEntries(
-            Object.entries(filters || {})
-                .filter(([, v]) => v !== undefined && v !== null && v !== '')
-                .map(([k, v]) => [k, String(v)])
-        );
-        const params = new URLSearchParams(clean);
-        const response = await apiRequest(`/programs${params.toString() ? `?${params}` : ''}`);
-        const programs = _extractArrayPayload(response, ['programs', 'items', 'results', 'records']);
-        return {
-            ...response,
-            success: response?.success !== false,
-            data: programs.map(_normalizeProgram),
-        };
+// ── Per-exercise program progress ───────────────────────────────────────────
+// Which exercises of which program day are done, per enrollment. Entries are
+// keyed "dayIndex:exerciseIndex" as { done, at } — `at` is when the entry last
+// changed, and un-marking keeps a done:false entry rather than deleting, so an
+// undo on one device can still win over a stale tick from another. Writes land
+// in localStorage first and are pushed by ProgramsAPI.syncExerciseProgress;
+// on conflict the later `at` wins, so every device converges on the same map.
+const ProgramProgressStore = {
+    PREFIX: 'ff_prog_progress_',
+
+    read(enrollmentId) {
+        try {
+            const raw = JSON.parse(localStorage.getItem(this.PREFIX + enrollmentId) || '{}');
+            return raw && typeof raw.entries === 'object' ? raw.entries : {};
+        } catch { return {}; }
     },
 
-    getProgramById: async (id) => {
-        const response = await apiRequest(`/programs/${id}`);
-        if (response?.data) response.data = _normalizeProgram(response.data);
-        return response;
+    write(enrollmentId, entries) {
+        try { localStorage.setItem(this.PREFIX + enrollmentId, JSON.stringify({ entries })); } catch {}
     },
 
-    enrollInProgram:  async (programId)    => await apiRequest(`/programs/${programId}/enroll`, { method: 'POST' }),
-    restartProgram:   async (programId)    => await apiRequest(`/programs/${programId}/enroll`, { method: 'POST' }),
+    set(enrollmentId, dayIndex, exIndex, done = true) {
+        const entries = this.read(enrollmentId);
+        entries[`${dayIndex}:${exIndex}`] = { done: !!done, at: Date.now() };
+        this.write(enrollmentId, entries);
+        return entries;
+    },
 
-    getUserPrograms: async () => {
-        const response = await apiRequest('/programs/my-enrollments');
-        const enrollments = _extractArrayPayload(response, ['enrollments', 'programEnrollments', 'items', 'results', 'records']);
+    merge(...maps) {
+        const out = {};
+        maps.forEach(map => Object.entries(map || {}).forEach(([k, e]) => {
+            if (!out[k] || (e.at || 0) > (out[k].at || 0)) out[k] = e;
+        }));
+        return out;
+    },
+
+    /** Indexes of the exercises done on one day. */
+    doneOn(entries, dayIndex) {
+        return Object.entries(entries || {})
+            .filter(([k, e]) => e.done && k.split(':')[0] === String(dayIndex))
+            .map(([k]) => Number(k.split(':')[1]))
+            .sort((a, b) => a - b);
+    },
+};
+
+// Server shapes: [{ dayIndex, exerciseIndex, completed, updatedAt }] or the
+// entries map itself, bare or under data / progress / entries.
+function _normaliseExerciseProgress(raw) {
+    const src = raw?.data ?? raw;
+    const list = Array.isArray(src) ? src
+        : Array.isArray(src?.progress) ? src.progress
+        : Array.isArray(src?.entries)  ? src.entries
+        : null;
+    if (!list) {
+        const map = src?.entries || src?.progress || src;
+        return map && typeof map === 'object' && !Array.isArray(map) ? { ...map } : {};
+    }
+    const out = {};
+    list.forEach(e => {
+        const day = e.dayIndex ?? e.day_index;
+        const ex  = e.exerciseIndex ?? e.exercise_index ?? e.exIndex;
+        if (day == null || ex == null) return;
+        out[`${day}:${ex}`] = {
+            done: e.completed ?? e.done ?? true,
+            at:   new Date(e.updatedAt || e.updated_at || e.completedAt || 0).getTime() || 0,
+        };
+    });
+    return out;
+}
+
+// completedDays plus the finished fraction of the day in progress. The day's
+// exercise count is only known when the enrollment carries program weeks.
+function _attachDayProgress(enrollment) {
+    if (!enrollment?.id) return enrollment;
+    const embedded = enrollment.exerciseProgress ?? enrollment.exercise_progress;
+    const entries = ProgramProgressStore.merge(
+        embedded ? _normaliseExerciseProgress(embedded) : {},
+        ProgramProgressStore.read(enrollment.id),
+    );
+    const dayIndex = enrollment.completedDays || 0;
+    const days  = (enrollment.program?.weeks || []).flatMap(w => w.days || []);
+    const total = days[dayIndex]?.exercises?.length || null;
+    const done  = ProgramProgressStore.doneOn(entries, dayIndex).length;
+    const totalDays = (enrollment.program?.durationWeeks || 0) * (enrollment.program?.daysPerWeek || 0);
+    const partial = total ? Math.min(1, done / total) : 0;
+    return {
+        ...enrollment,
+        exerciseProgress: entries,
+        dayProgress:      { dayIndex, done, total },
+        // capped below 100 until the last day is actually marked complete
+        progressPrecise:  totalDays
+            ? Math.min(dayIndex >= totalDays ? 100 : 99, (dayIndex + partial) / totalDays * 100)
+            : (enrollment.progress || 0),
+    };
+}
+
+// ── Program schedules ────────────────────────────────────────────────────────
+// The weekdays a member trains on for an enrollment, counted from a start date.
+// Only the schedule is stored (per enrollment in localStorage, pushed by
+// ProgramsAPI.setSchedule); session dates are derived by plan() from
+// completedDays every time, so a missed day reschedules itself. 'shift' slides
+// the remaining days onto the next chosen weekdays; 'compress' keeps the
+// original end date by borrowing spare days, preferring ones with a rest day
+// either side, and only spills past the end when the calendar runs out.
+const ProgramSchedule = {
+    PREFIX:   'ff_prog_schedule_',
+    MODES:    ['shift', 'compress'],
+    MAX_EXTRA_PER_WEEK: 1, // compress: borrowed rest days per week
+    MAX_RUN:            2, // compress: longest streak of consecutive training days
+    WEEKDAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    // Default training days for a given days-per-week, spread across the week
+    SPREAD: { 1: [1], 2: [1, 4], 3: [1, 3, 5], 4: [1, 2, 4, 5], 5: [1, 2, 3, 4, 5], 6: [1, 2, 3, 4, 5, 6], 7: [0, 1, 2, 3, 4, 5, 6] },
+
+    normalise(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const weekdays = [...new Set((raw.weekdays || raw.days || []).map(Number))]
+            .filter(d => Number.isInteger(d) && d >= 0 && d <= 6).sort((a, b) => a - b);
+        if (!weekdays.length) return null;
+        const updatedAt = typeof raw.updatedAt === 'number' ? raw.updatedAt : Date.parse(raw.updatedAt || '') || 0;
         return {
-            ...response,
-            success: response?.success !== false,
-            data: enrollments.map(_normalizeEnrollment),
+            weekdays,
+            startDate:  _localDateKey(raw.startDate ? _dateFromKey(String(raw.startDate).slice(0, 10)) : Date.now()),
+            mode:       this.MODES.includes(raw.mode) ? raw.mode : 'shift',
+            lastDoneOn: raw.lastDoneOn || null,
+            updatedAt,
         };
     },
 
-    cancelEnrollment: async (enrollmentId) => await apiRequest(`/programs/enrollments/${enrollmentId}`, { method: 'DELETE' }),
-    updateProgress:   async (enrollmentId, data) => await apiRequest(`/programs/enrollments/${enrollmentId}/progress`, {
-        method: 'PUT', body: JSON.stringify(data),
-    }),
+    read(enrollmentId) {
+        try { return this.normalise(JSON.parse(localStorage.getItem(this.PREFIX + enrollmentId) || 'null')); }
+        catch { return null; }
+    },
 
-    // Uses the dedicated AI endpoint — avoids the general /programs route
-    // which reads weeks.title (a column that was renamed to name in the DB,
-    // crashing the response and making every save appear as "server offline").
-    getAiProgram:  async () =>
-        await apiRequest('/ai/saved-program'),
+    write(enrollmentId, schedule) {
+        const s = this.normalise({ ...schedule, updatedAt: schedule?.updatedAt || Date.now() });
+        try {
+            if (s) localStorage.setItem(this.PREFIX + enrollmentId, JSON.stringify(s));
+            else localStorage.removeItem(this.PREFIX + enrollmentId);
+        } catch {}
+        return s;
+    },
 
-    saveAiProgram: async (payload) =>
-        await apiRequest('/ai/save-program', {
-            method: 'POST',
-            body:   JSON.stringify(payload),
-        }),
-};
+    suggest(daysPerWeek, startDate = _localDateKey()) {
+        const n = Math.min(7, Math.max(1, parseInt(daysPerWeek) || 3));
+        return { weekdays: this.SPREAD[n], startDate, mode: 'shift' };
+    },
 
-// ── PROGRESS ──────────────────────────────────────────────────────────────────
-const ProgressAPI = {
-    // duration MUST be in MINUTES (integer) — that is how WorkoutLog stores it in the DB
-    logWorkout: async (workoutData) => {
-        const { exerciseId, duration, sets, reps, caloriesBurned, heartRate, difficulty, notes } = workoutData;
-        return await apiRequest('/progress', {
+    // A completed day pushes the next session to tomorrow — one program day per date
+    markDone(enrollmentId, date = new Date()) {
+        const s = this.read(enrollmentId);
+        if (s) this.write(enrollmentId, { ...s, lastDoneOn: _localDateKey(date), updatedAt: s.updatedAt });
+    },
+
+    /**
+     * Upcoming session dates for the days not yet completed.
+     * Returns { sessions: [{dayIndex, date, extra}], next, missed, plannedEndDate, endDate }
+     * — dates are local YYYY-MM-DD keys, `extra` marks a borrowed (compressed) day.
+     */
+    plan(schedule, { completedDays = 0, totalDays = 0, today = new Date() } = {}) {
+        const s = this.normalise(schedule);
+        if (!s || !totalDays) return null;
+        const isSlot   = d => s.weekdays.includes(d.getDay());
+        const todayKey = _localDateKey(today);
+        const start    = _dateFromKey(s.startDate);
+
+        const planned = [];
+        for (let d = start; planned.length < totalDays; d = _addDays(d, 1)) {
+            if (isSlot(d)) planned.push(_localDateKey(d));
+        }
+        const plannedEndDate = planned[planned.length - 1];
+        const missed    = Math.max(0, planned.filter(k => k < todayKey).length - completedDays);
+        const remaining = Math.max(0, totalDays - completedDays);
+
+        let from = s.startDate > todayKey ? start : _dateFromKey(todayKey);
+        if (s.lastDoneOn && s.lastDoneOn >= _localDateKey(from)) from = _addDays(_dateFromKey(s.lastDoneOn), 1);
+
+        // Compress borrows rest days to win back missed sessions, but at most
+        // MAX_EXTRA_PER_WEEK per week and never a run longer than MAX_RUN
+        // training days — whatever does not fit spills past the planned end.
+        const dates = [];
+        const extra = new Set();
+        if (s.mode === 'compress' && missed) {
+            const slots = [], spare = [];
+            for (let d = from; _localDateKey(d) <= plannedEndDate; d = _addDays(d, 1)) {
+                (isSlot(d) ? slots : spare).push(_localDateKey(d));
+            }
+            const training = new Set(slots);
+            const weekOf   = k => { const d = _dateFromKey(k); return _localDateKey(_addDays(d, -d.getDay())); };
+            const runWith  = k => {
+                let n = 1;
+                for (let d = _addDays(_dateFromKey(k), -1); training.has(_localDateKey(d)); d = _addDays(d, -1)) n++;
+                for (let d = _addDays(_dateFromKey(k), 1);  training.has(_localDateKey(d)); d = _addDays(d, 1))  n++;
+                return n;
+            };
+            const perWeek = {};
+            const rested  = k => !isSlot(_addDays(_dateFromKey(k), -1)) && !isSlot(_addDays(_dateFromKey(k), 1));
+            for (const k of [...spare.filter(rested), ...spare.filter(k => !rested(k))]) {
+                if (slots.length + extra.size >= remaining) break;
+                const wk = weekOf(k);
+                if ((perWeek[wk] || 0) >= this.MAX_EXTRA_PER_WEEK || runWith(k) > this.MAX_RUN) continue;
+                perWeek[wk] = (perWeek[wk] || 0) + 1;
+                extra.add(k);
+                training.add(k);
+            }
+            dates.push(...[...training].sort().slice(0, remaining));
+        }
+        for (let d = dates.length ? _addDays(_dateFromKey(dates[dates.length - 1]), 1) : from; dates.length < remaining; d = _addDays(d, 1)) {
+            if (isSlot(d)) dates.push(_localDateKey(d));
+        }
+
+        const sessions = dates.map((date, i) => ({ dayIndex: completedDays + i, date, extra: extra.has(date) }));
+        return { sessions, next: sessions[0] || null, missed, plannedEndDate, endDate: dates[dates.length - 1] || plannedEndDate };
+    },
+
+    /** Calendar events for an enrollment's planned sessions, titled from its program days. */
+    events(enrollment, plan = enrollment?.schedulePlan) {
+        const prog = enrollment?.program || {};
+        const days = (prog.weeks || []).flatMap(w => w.days || []);
+        return (plan?.sessions || []).map(s => {
+            const day = days[s.dayIndex];
+            return {
+                uid:   `${enrollment.id}-day${s.dayIndex}`,
+                date:  s.date,
+                title: `${prog.title || 'Program'} · Day ${s.dayIndex + 1}${day?.title ? ': ' + day.title : ''}`,
+                description: day?.exercises?.length
+                    ? day.exercises.map(ex => ex.name || ex.exercise?.name).filter(Boolean).join(', ')
+                    : '',
+                url: `${location.origin}/program-detail?id=${encodeURIComponent(prog.id || enrollment.programId)}&enrollmentId=${encodeURIComponent(enrollment.id)}`,
+            };
+        });
+    },
+
+    /**
+     * iCalendar (RFC 5545) text for all-day events {uid, date, title, description, url}.
+     * UIDs are stable per enrollment day, so re-importing updates moved sessions
+     * instead of duplicating them.
+     */
+    toICS(events, { name = 'FlowFit Training' } = {}) {
+        const text = v => String(v ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+        const ymd  = key => key.replace(/-/g, '');
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        // Content lines are folded at 75 octets; continuation lines start with a space
+        const enc  = new TextEncoder();
+        const fold = line => {
+            const parts = [];
+            let cur = '', size = 0;
+            for (const ch of line) {
+                const n = enc.encode(ch).length;
+                if (size + n > 75) { parts.push(cur); cur = ' '; size = 1; }
+                cur += ch; size += n;
+            }
+            parts.push(cur);
+            return parts.join('\r\n');
+        };
+        const lines = [
+            'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//FlowFit//Training Schedule//EN',
+            'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${text(name)}`,
+        ];
+        for (const ev of events) {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${text(ev.uid)}@flowfit`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${ymd(ev.date)}`,
+                `DTEND;VALUE=DATE:${ymd(_localDateKey(_addDays(_dateFromKey(ev.date), 1)))}`,
+                `SUMMARY:${text(ev.title)}`,
+            );
+            if (ev.description) lines.push(`DESCRIPTION:${text(ev.description)}`);
+            if (ev.url) lines.push(`URL:${ev.url}`);
+            lines.push('END:VEVENT');
+        }
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    },
+
+    downloadICS(events, filename = 'flowfit-schedule.ics', opts) {
+        const blob = new Blob([this.toICS(events, opts)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = Object.assign(document.createElement('a'), { href: url, download: filename });
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+};
+
+// Server copy (embedded on the enrollment) and local copy — later updatedAt wins
+function _attachSchedule(enrollment) {
+    if (!enrollment?.id) return enrollment;
+    const local  = ProgramSchedule.read(enrollment.id);
+    const remote = ProgramSchedule.normalise(enrollment.schedule);
+    let schedule = local;
+    if (remote && (remote.updatedAt || 0) > (local?.updatedAt || 0)) {
+        schedule = ProgramSchedule.write(enrollment.id, remote);   // so markDone has a local copy to stamp
+    }
+    if (!schedule) return { ...enrollment, schedule: null, schedulePlan: null };
+    const days = (enrollment.program?.weeks || []).reduce((n, w) => n + (w.days || []).length, 0);
+    const totalDays = days || (enrollment.program?.durationWeeks || 0) * (enrollment.program?.daysPerWeek || 0);
+    return {
+        ...enrollment,
+        schedule,
+        schedulePlan: ProgramSchedule.plan(schedule, { completedDays: enrollment.completedDays || 0, totalDays }),
+    };
+}
+
+// ── Custom programs ──────────────────────────────────────────────────────────
+// Programs a member builds in program-builder.html. The server stores them as
+// ordinary programs owned by the user, so enrolment, program-detail and the
+// queue runner treat them like catalogue programs. The last fetched list is
+// mirrored in localStorage so an already-built program still opens offline.
+const CUSTOM_PROGRAMS_KEY = 'ff_custom_programs';
+const DELOAD_SET_FACTOR   = 0.6;   // deload weeks keep ~60% of the prescribed sets
+
+function _readCustomPrograms() {
+    try { return JSON.parse(localStorage.getItem(CUSTOM_PROGRAMS_KEY) || '[]') || []; }
+    catch { return []; }
+}
+
+function _writeCustomPrograms(list) {
+    try { localStorage.setItem(CUSTOM_PROGRAMS_KEY, JSON.stringify(list)); } catch {}
+}
+
+function _intOrNull(v) {
+    const n = parseInt(v);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Builder state → request body. Week/day numbering and the duration fields
+ * are derived from the structure, so they can never disagree with it.
+ * Exercises keep the shape program-detail's _pdNormaliseExercise reads.
+ */
+function _serialiseCustomProgram(draft) {
+    const weeks = (draft?.weeks || []).map((wk, wi) => ({
+        weekNumber: wi + 1,
+        title:      String(wk.title || '').trim() || `Week ${wi + 1}`,
+        deload:     !!wk.deload,
+        days: (wk.days || []).map((day, di) => ({
+            dayNumber: di + 1,
+            title:     String(day.title || '').trim() || `Day ${di + 1}`,
+            exercises: (day.exercises || []).map((ex, order) => ({
+                exerciseId:     ex.exerciseId || ex.id,
+                name:           ex.name,
+                category:       ex.category || 'STRENGTH',
+                caloriesPerMin: Number(ex.caloriesPerMin) || 8,
+                sets:           _intOrNull(ex.sets),
+                reps:           _intOrNull(ex.reps),
+                restSec:        _intOrNull(ex.restSec),
+                order,
+            })),
+        })),
+    }));
+    return {
+        title:         String(draft?.title || '').trim(),
+        description:   String(draft?.description || '').trim(),
+        level:         draft?.level || 'Beginner',
+        durationWeeks: weeks.length,
+        daysPerWeek:   Math.max(0, ...weeks.map(w => w.days.length)),
+        weeks,
+    };
+}
+
+/** First problem that would stop a program from being run, or null. */
+function validateCustomProgram(draft) {
+    const body = _serialiseCustomProgram(draft);
+    if (!body.title) return 'Give your program a name.';
+    if (!body.weeks.length) return 'Add at least one week.';
+    for (const wk of body.weeks) {
+        if (!wk.days.length) return `${wk.title} has no days.`;
+        for (const day of wk.days) {
+            if (!day.exercises.length) return `${wk.title} · ${day.title} has no exercises.`;
+        }
+    }
+    return null;
+}
+
+function _normalizeCustomProgram(raw) {
+    const p = _normalizeProgram(raw);
+    if (!p) return p;
+    return {
+        ...p,
+        isCustom: true,
+        weeks: (p.weeks || []).map(wk => ({
+            ...wk,
+            deload: !!(wk.deload ?? wk.isDeload ?? wk.is_deload),
+            days:   (wk.days || []).map(day => ({
+                ...day,
+                exercises: (day.exercises || []).map(ex => ({
+                    ...ex,
+                    restSec: _intOrNull(ex.restSec ?? ex.rest_sec ?? ex.rest),
+                })),
+            })),
+        })),
+    };
+}
+
+const ProgramsAPI = {
+    getPrograms: async (filters = {}) => {
+        const clean = Object.fromEntries(
+            Object.entries(filters || {})
+                .filter(([, v]) => v !== undefined && v !== null && v !== '')
+                .map(([k, v]) => [k, String(v)])
+        );
+        const params = new URLSearchParams(clean);
+        const response = await apiRequest(`/programs${params.toString() ? `?${params}` : ''}`);
+        const programs = _extractArrayPayload(response, ['programs', 'items', 'results', 'records']);
+        return {
+            ...response,
+            success: response?.success !== false,
+            data: programs.map(_normalizeProgram),
+        };
+    },
+
+    getProgramById: async (id) => {
+        const response = await apiRequest(`/programs/${id}`);
+        if (response?.data) response.data = _normalizeProgram(response.data);
+        return response;
+    },
+
+    enrollInProgram:  async (programId)    => await apiRequest(`/programs/${programId}/enroll`, { method: 'POST' }),
+    restartProgram:   async (programId)    => await apiRequest(`/programs/${programId}/enroll`, { method: 'POST' }),
+
+    /**
+     * Enrollments, plus the member's custom programs. Enrollments in a custom
+     * program are flagged isCustom; custom programs not started yet are
+     * appended as { isCustom, notStarted, program } with no enrollment id.
+     */
+    getUserPrograms: async () => {
+        const [response, custom] = await Promise.all([
+            apiRequest('/programs/my-enrollments'),
+            ProgramsAPI.getCustomPrograms().catch(() => ({ data: _readCustomPrograms() })),
+        ]);
+        const enrollments = _extractArrayPayload(response, ['enrollments', 'programEnrollments', 'items', 'results', 'records'])
+            .map(_normalizeEnrollment).map(_attachDayProgress).map(_attachSchedule);
+        const programIdOf = e => String(e?.programId || e?.program?.id || '');
+        const customIds = new Set(custom.data.map(p => String(p.id)));
+        const enrolled  = new Set(enrollments.map(programIdOf));
+        return {
+            ...response,
+            success: response?.success !== false,
+            data: [
+                ...enrollments.map(e => customIds.has(programIdOf(e)) ? { ...e, isCustom: true } : e),
+                ...custom.data.filter(p => !enrolled.has(String(p.id))).map(p => ({
+                    id: null, programId: p.id, program: p, isCustom: true, notStarted: true,
+                    completedDays: 0, currentWeek: 1, progress: 0,
+                })),
+            ],
+        };
+    },
+
+    // Servers without custom-program support answer 404/501; that is
+    // remembered for the session and reads as "no custom programs".
+    getCustomPrograms: async () => {
+        if (sessionStorage.getItem('ff_custom_programs_unavailable')) return { success: true, data: [] };
+        let response;
+        try {
+            response = await apiRequest('/programs/custom');
+        } catch (err) {
+            if ([404, 501].includes(err?.status)) {
+                try { sessionStorage.setItem('ff_custom_programs_unavailable', '1'); } catch {}
+                return { success: true, data: [] };
+            }
+            throw err;
+        }
+        const programs = _extractArrayPayload(response, ['programs', 'items', 'results', 'records']).map(_normalizeCustomProgram);
+        _writeCustomPrograms(programs);
+        return { ...response, success: response?.success !== false, data: programs };
+    },
+
+    /** One custom program, from the server or — offline — the local mirror. */
+    getCustomProgram: async (id) => {
+        try {
+            const response = await apiRequest(`/programs/custom/${encodeURIComponent(id)}`);
+            const raw = response?.data?.program || response?.data || response?.program;
+            return { ...response, success: true, data: _normalizeCustomProgram(raw) };
+        } catch (err) {
+            const cached = _readCustomPrograms().find(p => String(p.id) === String(id));
+            if (cached && _isNetworkError(err)) return { success: true, offline: true, data: cached };
+            throw err;
+        }
+    },
+
+    createCustomProgram: async (draft) => {
+        const problem = validateCustomProgram(draft);
+        if (problem) throw new ValidationError(problem);
+        const response = await apiRequest('/programs/custom', {
+            method: 'POST', body: JSON.stringify(_serialiseCustomProgram(draft)),
+        });
+        const raw = response?.data?.program || response?.data || response?.program;
+        return { ...response, success: true, data: _normalizeCustomProgram(raw) };
+    },
+
+    updateCustomProgram: async (id, draft) => {
+        const problem = validateCustomProgram(draft);
+        if (problem) throw new ValidationError(problem);
+        const response = await apiRequest(`/programs/custom/${encodeURIComponent(id)}`, {
+            method: 'PUT', body: JSON.stringify(_serialiseCustomProgram(draft)),
+        });
+        const raw = response?.data?.program || response?.data || response?.program;
+        return { ...response, success: true, data: _normalizeCustomProgram(raw) };
+    },
+
+    deleteCustomProgram: async (id) => {
+        const response = await apiRequest(`/programs/custom/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        _writeCustomPrograms(_readCustomPrograms().filter(p => String(p.id) !== String(id)));
+        return response;
+    },
+
+    /** Saves a copy of an existing custom program as a new one. */
+    duplicateCustomProgram: async (id) => {
+        const { data: source } = await ProgramsAPI.getCustomProgram(id);
+        return await ProgramsAPI.createCustomProgram({ ...source, title: `${source.title} (Copy)` });
+    },
+
+    cancelEnrollment: async (enrollmentId) => await apiRequest(`/programs/enrollments/${enrollmentId}`, { method: 'DELETE' }),
+    updateProgress: async (enrollmentId, data) => {
+        const res = await apiRequest(`/programs/enrollments/${enrollmentId}/progress`, {
+            method: 'PUT', body: JSON.stringify(data),
+        });
+        if (data?.completedDays != null) ProgramSchedule.markDone(enrollmentId);
+        return res;
+    },
+
+    /**
+     * Save an enrollment's training days locally, then push them. Servers
+     * without the endpoint (404/501, remembered for the session) or an offline
+     * device keep the local copy and resolve with { offline: true }.
+     */
+    setSchedule: async (enrollmentId, schedule) => {
+        const saved = ProgramSchedule.write(enrollmentId, { ...schedule, updatedAt: Date.now() });
+        if (!saved) throw new ValidationError('Pick at least one training day.');
+        if (sessionStorage.getItem('ff_program_schedule_unavailable')) return { success: true, offline: true, data: saved };
+        try {
+            await apiRequest(`/programs/enrollments/${encodeURIComponent(enrollmentId)}/schedule`, {
+                method: 'PUT',
+                body: JSON.stringify({ ...saved, updatedAt: new Date(saved.updatedAt).toISOString() }),
+            });
+        } catch (err) {
+            if ([404, 501].includes(err?.status)) {
+                try { sessionStorage.setItem('ff_program_schedule_unavailable', '1'); } catch {}
+            } else if (!_isNetworkError(err)) {
+                throw err;
+            }
+            return { success: true, offline: true, data: saved };
+        }
+        return { success: true, data: saved };
+    },
+
+    getExerciseProgress: async (enrollmentId) => {
+        const res = await apiRequest(`/programs/enrollments/${encodeURIComponent(enrollmentId)}/exercise-progress`);
+        return { success: res?.success !== false, data: _normaliseExerciseProgress(res) };
+    },
+
+    /** Tick (or untick) one exercise of a program day, then sync. */
+    setExerciseComplete: async (enrollmentId, dayIndex, exIndex, done = true) => {
+        ProgramProgressStore.set(enrollmentId, dayIndex, exIndex, done);
+        return await ProgramsAPI.syncExerciseProgress(enrollmentId);
+    },
+
+    /**
+     * Two-way sync of per-exercise progress: pull the server's map, merge it
+     * with the local one (later change wins), push whatever the server is
+     * missing and keep the merged map locally. Offline, or against a server
+     * without the endpoint (remembered for the session on 404/501), it
+     * resolves with the local map and { offline: true }.
+     */
+    syncExerciseProgress: async (enrollmentId) => {
+        const local = ProgramProgressStore.read(enrollmentId);
+        if (sessionStorage.getItem('ff_exercise_progress_unavailable')) {
+            return { success: true, offline: true, data: local };
+        }
+        let remote;
+        try {
+            remote = (await ProgramsAPI.getExerciseProgress(enrollmentId)).data;
+        } catch (err) {
+            if ([404, 501].includes(err?.status)) {
+                try { sessionStorage.setItem('ff_exercise_progress_unavailable', '1'); } catch {}
+            } else if (!_isNetworkError(err)) {
+                throw err;
+            }
+            return { success: true, offline: true, data: local };
+        }
+
+        const merged = ProgramProgressStore.merge(remote, local);
+        ProgramProgressStore.write(enrollmentId, merged);
+        const push = Object.entries(merged)
+            .filter(([k, e]) => (e.at || 0) > (remote[k]?.at || 0))
+            .map(([k, e]) => {
+                const [dayIndex, exerciseIndex] = k.split(':').map(Number);
+                return { dayIndex, exerciseIndex, completed: e.done, updatedAt: new Date(e.at).toISOString() };
+            });
+        if (push.length) {
+            try {
+                await apiRequest(`/programs/enrollments/${encodeURIComponent(enrollmentId)}/exercise-progress`, {
+                    method: 'PUT', body: JSON.stringify({ entries: push }),
+                });
+            } catch (err) {
+                if (!_isNetworkError(err)) throw err;
+                return { success: true, offline: true, data: merged };   // pushed on the next sync
+            }
+        }
+        return { success: true, data: merged };
+    },
+
+    // Uses the dedicated AI endpoint — avoids the general /programs route
+    // which reads weeks.title (a column that was renamed to name in the DB,
+    // crashing the response and making every save appear as "server offline").
+    getAiProgram:  async () =>
+        await apiRequest('/ai/saved-program'),
+
+    saveAiProgram: async (payload) =>
+        await apiRequest('/ai/save-program', {
             method: 'POST',
-            body: JSON.stringify({
-                exerciseId,
-                duration:      parseInt(duration),     // minutes — do NOT multiply by 60
-                sets:          sets          ? parseInt(sets)          : undefined,
-                reps:          reps          ? parseInt(reps)          : undefined,
-                caloriesBurned: caloriesBurned ? parseFloat(caloriesBurned) : undefined,
-                heartRate:     heartRate     ? parseInt(heartRate)     : undefined,
-                difficulty,
-                notes,
-            }),
+            body:   JSON.stringify(payload),
+        }),
+};
+
+// ── OFFLINE OUTBOX ────────────────────────────────────────────────────────────
+// Workout logs that fail with NETWORK_ERROR (gym basement, flaky mobile data) are
+// written to an IndexedDB outbox instead of being lost, then replayed in order
+// when connectivity returns. Every log carries a client-generated clientId that
+// is reused on replay, so the server can discard a log it already stored (e.g.
+// the request reached it but the response was lost on the way back).
+//
+// The key travels in the JSON body rather than an Idempotency-Key header: a
+// custom header would have to be whitelisted in the backend's CORS
+// Access-Control-Allow-Headers, and a preflight rejection would break every log.
+//
+// An entry leaves the outbox once the server stores it, or answers 409 for its
+// clientId (stored on an earlier attempt). Any other 4xx — invalid log, 403
+// PLAN_LIMIT_REACHED — rejects it for good; 401 while a token refresh is in
+// flight, 408 and 429 wait for the next flush, and so does a 5xx until the
+// entry has failed MAX_SERVER_ATTEMPTS times. Rejected entries are kept,
+// flagged, and shown in the sidebar until the member discards them.
+//
+// Queueing is a plan feature (hasOfflineAccess). Without it a NETWORK_ERROR
+// surfaces to the caller as before; entries already queued still replay.
+function _newIdempotencyKey() {
+    return _randomId();
+}
+
+function _isNetworkError(err) {
+    return err instanceof NetworkError;
+}
+
+const OfflineQueue = {
+    DB_NAME: 'flowfit-offline',
+    STORE: 'outbox',
+    RETRY_STATUSES: [401, 408, 429],
+    MAX_SERVER_ATTEMPTS: 5, // 5xx replays before an entry stops blocking the ones behind it
+    _dbPromise: null,
+    _flushing: null,
+
+    _open() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+            const req = indexedDB.open(this.DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    db.createObjectStore(this.STORE, { keyPath: 'id' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror   = () => reject(req.error);
+        });
+        // Let the next call retry if opening failed (private mode, quota, etc.)
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
+    },
+
+    async _tx(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const result = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(result?.result ?? result);
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error);
+        });
+    },
+
+    // entry: { id (idempotency key), endpoint, method, body (JSON string) }
+    // put() rather than add() — re-queuing the same key must never create a duplicate.
+    async enqueue(entry) {
+        await this._tx('readwrite', store => store.put({
+            ...entry, createdAt: Date.now(), attempts: 0, lastError: null,
+        }));
+        this.refreshBadge();
+    },
+
+    async _rows() {
+        const rows = await this._tx('readonly', store => store.getAll());
+        return (rows || []).sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    /** Entries still waiting to sync, oldest first. */
+    async all() {
+        return (await this._rows()).filter(r => !r.rejectedAt);
+    },
+
+    /** Entries the server refused — kept until the member discards them. */
+    async rejected() {
+        return (await this._rows()).filter(r => r.rejectedAt);
+    },
+
+    async count() {
+        try { return (await this.all()).length; }
+        catch { return 0; }
+    },
+
+    async discardRejected() {
+        const rows = await this.rejected();
+        for (const row of rows) await this._remove(row.id);
+        this.refreshBadge();
+    },
+
+    // 'duplicate' | 'retry' | 'reject' for a failed replay of `row`
+    _classify(err, row) {
+        if (!(err instanceof ApiError)) return 'retry';
+        if (err.status === 409) return 'duplicate';
+        if (this.RETRY_STATUSES.includes(err.status)) return 'retry';
+        if (err.status >= 500) return row.attempts >= this.MAX_SERVER_ATTEMPTS ? 'reject' : 'retry';
+        return err.status >= 400 ? 'reject' : 'retry';
+    },
+
+    async _remove(id)  { await this._tx('readwrite', store => store.delete(id)); },
+    async _update(row) { await this._tx('readwrite', store => store.put(row)); },
+
+    // Replay queued requests oldest-first. Stops at the first failure that is not
+    // a definitive rejection (offline, 401, 5xx …) and keeps that entry and the
+    // rest for the next attempt. Concurrent callers share the same in-flight flush.
+    async flush() {
+        if (this._flushing) return this._flushing;
+        this._flushing = (async () => {
+            let synced = 0, rejected = 0;
+            try {
+                if (!TokenManager.getAccessToken()) return 0; // replay needs an authenticated tab
+                const rows = await this.all();
+                for (const row of rows) {
+                    try {
+                        await apiRequest(row.endpoint, { method: row.method, body: row.body });
+                        await this._remove(row.id);
+                        synced++;
+                    } catch (err) {
+                        if (_isNetworkError(err)) break;
+                        row.attempts = (row.attempts || 0) + 1;
+                        row.lastError = err?.message || 'Sync failed';
+                        const outcome = this._classify(err, row);
+                        if (outcome === 'duplicate') {
+                            await this._remove(row.id);
+                            synced++;
+                            continue;
+                        }
+                        if (outcome === 'reject') {
+                            row.rejectedAt = Date.now();
+                            rejected++;
+                            await this._update(row);
+                            continue;
+                        }
+                        await this._update(row);
+                        break;
+                    }
+                }
+            } catch (err) {
+                console.warn('[OfflineQueue] flush failed', err);
+            } finally {
+                this._flushing = null;
+                this.refreshBadge();
+            }
+            if (synced > 0) {
+                // Same signal submitLog uses — dashboard refreshes recent workouts + achievements
+                try {
+                    localStorage.setItem('ff_workout_logged', Date.now().toString());
+                    localStorage.setItem('ff_achievement_update', Date.now().toString());
+                } catch {}
+                Toast.success(`Synced ${synced} offline workout${synced === 1 ? '' : 's'}.`);
+            }
+            if (rejected > 0) {
+                Toast.error(`${rejected} offline workout${rejected === 1 ? ' was' : 's were'} rejected by the server — see "not synced" in the sidebar.`);
+            }
+            return synced;
+        })();
+        return this._flushing;
+    },
+
+    // "N pending sync" and "N not synced" pills rendered next to the sidebar plan badge on every page
+    async refreshBadge() {
+        if (typeof document === 'undefined') return;
+        const n = await this.count();
+        const failed = await this.rejected().catch(() => []);
+        document.querySelectorAll('#planBadge').forEach(planBadge => {
+            let pill = planBadge.parentNode.querySelector('.sync-badge:not(.rejected)');
+            if (!n) { if (pill) pill.remove(); }
+            else {
+                if (!pill) {
+                    pill = document.createElement('span');
+                    pill.className = 'sync-badge';
+                    pill.title = 'Workouts saved offline — they will sync automatically when you are back online';
+                    planBadge.insertAdjacentElement('afterend', pill);
+                }
+                pill.textContent = `⟳ ${n} pending sync`;
+            }
+
+            let bad = planBadge.parentNode.querySelector('.sync-badge.rejected');
+            if (!failed.length) { if (bad) bad.remove(); return; }
+            if (!bad) {
+                bad = document.createElement('button');
+                bad.type = 'button';
+                bad.className = 'sync-badge rejected';
+                bad.addEventListener('click', () => this.reviewRejected());
+                (pill || planBadge).insertAdjacentElement('afterend', bad);
+            }
+            bad.textContent = `⚠ ${failed.length} not synced`;
+            bad.title = failed.map(r => `${new Date(r.createdAt).toLocaleString()}: ${r.lastError}`).join('\n');
+        });
+    },
+
+    // Lists why each log was refused; pages with a showConfirm modal offer to discard them
+    async reviewRejected() {
+        const rows = await this.rejected();
+        if (!rows.length) return;
+        const reasons = rows.map(r => `${new Date(r.createdAt).toLocaleDateString()} — ${r.lastError}`).join('; ');
+        if (typeof showConfirm !== 'function') { Toast.error(`Not synced: ${reasons}`); return; }
+        // showConfirm renders its message as HTML; server error text is not trusted
+        const safe = reasons.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        showConfirm({
+            icon: '⚠', title: `${rows.length} workout${rows.length === 1 ? '' : 's'} not synced`,
+            message: `The server rejected ${rows.length === 1 ? 'this offline log' : 'these offline logs'}: ${safe}. Log ${rows.length === 1 ? 'it' : 'them'} again by hand, then discard.`,
+            okText: 'Discard', cancelText: 'Keep', danger: true,
+            onOk: () => this.discardRejected(),
+        });
+    },
+};
+
+// ── PROGRESS ──────────────────────────────────────────────────────────────────
+// Per-set records ("setLogs") — one entry per set performed:
+//   { setNumber, reps, loadKg, unit, rpe, restSec, durationSec, warmup }
+// Load is stored in kg whatever the member typed; unit remembers what they
+// entered ('kg' | 'lb') so the UI can show it back the same way.
+const LB_PER_KG = 2.20462;
+
+function _normaliseSetLog(set, index) {
+    const num = v => {
+        const n = parseFloat(v);
+        return Number.isFinite(n) && n > 0 ? n : null;
+    };
+    const unit = String(set?.unit || 'kg').toLowerCase() === 'lb' ? 'lb' : 'kg';
+    const load = num(set?.loadKg ?? set?.load ?? set?.weight);
+    const rpe  = num(set?.rpe);
+    return {
+        setNumber:   parseInt(set?.setNumber) || index + 1,
+        reps:        num(set?.reps) !== null ? Math.round(num(set.reps)) : null,
+        loadKg:      load === null ? null : +(set?.loadKg != null || unit === 'kg' ? load : load / LB_PER_KG).toFixed(2),
+        unit,
+        rpe:         rpe === null ? null : Math.min(10, Math.round(rpe * 2) / 2),
+        restSec:     num(set?.restSec) !== null ? Math.round(num(set.restSec)) : null,
+        durationSec: num(set?.durationSec) !== null ? Math.round(num(set.durationSec)) : null,
+        warmup:      !!set?.warmup,
+    };
+}
+
+// Heart-rate recordings ("hrSeries") — [{ t: seconds from the start, bpm }] as
+// captured from a strap by HeartRateMonitor. Long sessions are averaged down to
+// at most HR_SERIES_MAX samples so the log stays small; HeartRateZones reads
+// the series back for time in zone.
+const HR_SERIES_MAX = 1200;
+
+function _normaliseHrSeries(series) {
+    if (!Array.isArray(series)) return [];
+    const clean = series
+        .map(p => ({ t: Math.round(Number(p?.t)), bpm: Math.round(Number(p?.bpm)) }))
+        .filter(p => p.t >= 0 && p.bpm >= 30 && p.bpm <= 240)
+        .sort((a, b) => a.t - b.t);
+    if (clean.length <= HR_SERIES_MAX) return clean;
+    const size = Math.ceil(clean.length / HR_SERIES_MAX);
+    const out = [];
+    for (let i = 0; i < clean.length; i += size) {
+        const run = clean.slice(i, i + size);
+        out.push({ t: run[0].t, bpm: Math.round(run.reduce((sum, p) => sum + p.bpm, 0) / run.length) });
+    }
+    return out;
+}
+
+/** { avg, max } bpm over a series, or null when it has no samples. */
+function _hrSummary(series) {
+    const bpms = (series || []).map(p => Number(p?.bpm)).filter(b => b > 0);
+    if (!bpms.length) return null;
+    return { avg: Math.round(bpms.reduce((a, b) => a + b, 0) / bpms.length), max: Math.max(...bpms) };
+}
+
+// Logs saved before setLogs existed carry the tracker flattened into notes as
+// "Set performance: Set 1: 10 reps @ 20 kg ✓; Set 2: …" — recover them so
+// history reads the same for old and new workouts.
+const SET_SUMMARY_MARKER = 'Set performance:';
+
+function _parseLegacySetSummary(notes) {
+    const text = String(notes || '');
+    const at = text.indexOf(SET_SUMMARY_MARKER);
+    if (at < 0) return [];
+    return text.slice(at + SET_SUMMARY_MARKER.length).split(';').map(part => {
+        const m = part.match(/Set\s+(\d+):\s*(?:(\d+)\s*reps|reps not set)(?:\s*@\s*([\d.]+)\s*kg)?/i);
+        if (!m) return null;
+        return _normaliseSetLog({ setNumber: m[1], reps: m[2], loadKg: m[3] }, 0);
+    }).filter(Boolean);
+}
+
+function _attachSetLogs(log) {
+    if (!log || typeof log !== 'object') return log;
+    const raw = Array.isArray(log.setLogs) ? log.setLogs : Array.isArray(log.sets) ? log.sets : null;
+    log.setLogs = raw ? raw.map(_normaliseSetLog) : _parseLegacySetSummary(log.notes);
+    return log;
+}
+
+function _historyList(res) {
+    const raw = res?.data;
+    return Array.isArray(raw) ? raw : Array.isArray(raw?.logs) ? raw.logs : Array.isArray(raw?.workouts) ? raw.workouts : [];
+}
+
+const ProgressAPI = {
+    // duration MUST be in MINUTES (integer) — that is how WorkoutLog stores it in the DB
+    // sets is either a count (legacy) or an array of per-set records (see
+    // _normaliseSetLog). Structured sets go out as setLogs; sets/reps are still
+    // filled from the working sets so older readers keep working.
+    // hrSeries (a strap recording) goes out normalised; average and max heart rate
+    // are taken from it unless heartRate / maxHeartRate are given.
+    // On NETWORK_ERROR the log is queued in the offline outbox and the call resolves
+    // with { success: true, queued: true } — callers should tell the user it will sync.
+    logWorkout: async (workoutData) => {
+        const { exerciseId, duration, sets, reps, caloriesBurned, heartRate, maxHeartRate, difficulty, notes } = workoutData;
+        const clientId = workoutData.clientId || _newIdempotencyKey();
+        const setLogs = Array.isArray(sets) ? sets.map(_normaliseSetLog) : undefined;
+        const working = (setLogs || []).filter(s => !s.warmup);
+        const hrSeries = _normaliseHrSeries(workoutData.hrSeries);
+        const hr = _hrSummary(hrSeries);
+        const body = JSON.stringify({
+            exerciseId,
+            duration:      parseInt(duration),     // minutes — do NOT multiply by 60
+            sets:          setLogs ? (working.length || undefined) : (sets ? parseInt(sets) : undefined),
+            reps:          reps ? parseInt(reps) : (working.find(s => s.reps)?.reps ?? undefined),
+            setLogs:       setLogs?.length ? setLogs : undefined,
+            intervals:     workoutData.intervals || undefined,   // IntervalTimer.summary() for interval sessions
+            batchId:       workoutData.batchId || undefined,     // WorkoutQueue id when logged as part of a session
+            caloriesBurned: caloriesBurned ? parseFloat(caloriesBurned) : undefined,
+            heartRate:     heartRate     ? parseInt(heartRate)     : hr?.avg,
+            maxHeartRate:  maxHeartRate  ? parseInt(maxHeartRate)  : hr?.max,
+            hrSeries:      hrSeries.length ? hrSeries : undefined,
+            difficulty,
+            notes,
+            clientId,
         });
+        try {
+            return await apiRequest('/progress', { method: 'POST', body });
+        } catch (err) {
+            // A caller-supplied clientId is a re-submission: 409 means an earlier attempt was stored
+            if (workoutData.clientId && err instanceof ApiError && err.status === 409) {
+                return { success: true, duplicate: true, data: { clientId } };
+            }
+            if (!_isNetworkError(err)) throw err;
+            // Offline the plan read falls back to the free defaults unless this page already loaded it
+            await Entitlements.load().catch(() => {});
+            if (!Entitlements.has('hasOfflineAccess')) throw err;
+            try {
+                await OfflineQueue.enqueue({ id: clientId, endpoint: '/progress', method: 'POST', body });
+            } catch {
+                throw err; // no IndexedDB — surface the original network error
+            }
+            return { success: true, queued: true, data: { clientId } };
+        }
+    },
+    /**
+     * Logs every exercise of a multi-exercise session in one go. Each entry
+     * keeps its own clientId, so re-submitting after a partial failure never
+     * double-logs. A fallbackExerciseId (the seeded library id) is retried when
+     * the server rejects a program-only exercise id.
+     * Resolves { success, data: { results, failed } } — failed entries are left
+     * for the caller to retry.
+     */
+    logWorkoutBatch: async (entries) => {
+        const results = [], failed = [];
+        for (const entry of entries) {
+            const { fallbackExerciseId, ...workout } = entry;
+            try {
+                let res;
+                try {
+                    res = await ProgressAPI.logWorkout(workout);
+                } catch (err) {
+                    if (!fallbackExerciseId || fallbackExerciseId === workout.exerciseId || _isNetworkError(err)) throw err;
+                    res = await ProgressAPI.logWorkout({ ...workout, exerciseId: fallbackExerciseId });
+                }
+                results.push({ entry, res });
+            } catch (error) {
+                failed.push({ entry, error });
+            }
+        }
+        return { success: failed.length === 0, data: { results, failed } };
     },
     getUserProgress:   async ()              => await apiRequest('/progress/me'),
     getStats:          async (period='30d')  => await apiRequest(`/progress/stats?period=${period}`),
-    getWorkoutHistory: async (limit=20)      => await apiRequest(`/progress/history?limit=${limit}`),
+    // Every log comes back with setLogs: [] when no per-set data was recorded
+    // from/to (ISO instants) narrow the read to a time range; without them it is the newest `limit` logs
+    getWorkoutHistory: async (limit=20, { from, to } = {}) => {
+        const res = await apiRequest(`/progress/history${toQueryString({ limit, from, to })}`);
+        _historyList(res).forEach(_attachSetLogs);
+        return res;
+    },
     getStreaks:        async ()              => await apiRequest('/progress/streaks'),
+
+    // Logs of one exercise, most recent first — filtered from the shared history read
+    getExerciseHistory: async (exerciseId, limit = 200) => {
+        const res = await ProgressAPI.getWorkoutHistory(limit);
+        const logs = _historyList(res)
+            .filter(l => String(l.exerciseId || l.exercise?.id) === String(exerciseId))
+            .sort((a, b) => new Date(b.completedAt || b.createdAt || 0) - new Date(a.completedAt || a.createdAt || 0));
+        return { success: true, data: logs };
+    },
+
+    /**
+     * Next-session recommendation. The server coach (/ai/suggest-progression)
+     * is asked first; when it is missing or down, the local ProgressionEngine
+     * answers, so there is always a suggestion. A 404/501 is remembered for
+     * the session so later calls skip straight to the local engine.
+     */
+    suggestProgression: async (exerciseId, { exerciseName = '', logs } = {}) => {
+        const history = logs || (await ProgressAPI.getExerciseHistory(exerciseId).catch(() => ({ data: [] }))).data;
+        const local = ProgressionEngine.suggest(history, { exerciseName });
+        if (sessionStorage.getItem('ff_ai_progression_unavailable')) return local;
+        try {
+            const res = await apiRequest('/ai/suggest-progression', {
+                method: 'POST',
+                timeout: 8000,
+                body: JSON.stringify({
+                    exerciseId, exerciseName,
+                    recentLogs: history.slice(0, ProgressionEngine.WINDOW).map(l => ({
+                        date: l.completedAt || l.createdAt, sets: l.sets, reps: l.reps, duration: l.duration, setLogs: l.setLogs,
+                    })),
+                    baseline: local,
+                }),
+            });
+            const s = res?.suggestion || res?.data?.suggestion || res?.data;
+            if (s && typeof s.suggestion === 'string') return { ...local, ...s, source: 'ai' };
+        } catch (err) {
+            if ([404, 501].includes(err?.status)) {
+                try { sessionStorage.setItem('ff_ai_progression_unavailable', '1'); } catch {}
+            }
+        }
+        return local;
+    },
     getAchievements: async () => {
         const r = await apiRequest('/progress/achievements');
         if (r && r.success) {
@@ -536,158 +2202,2030 @@ const ProgressAPI = {
                 r.data = [...ul, ...lk];
             } else r.data = [];
         }
-        return r;
+        return r;
+    },
+    recalculateAchievements: async () => await apiRequest('/progress/achievements/recalculate', { method: 'POST' }),
+};
+
+// ── PERSONAL RECORDS ──────────────────────────────────────────────────────────
+// Bests per exercise, computed client-side from workout history (setLogs where
+// recorded, the log's scalar sets/reps/duration otherwise). Warm-up sets never
+// count. All loads are kg; format with PersonalRecordsAPI.formatLoad().
+//
+//   heaviest   — heaviest working set (kg)
+//   maxReps    — most reps in a single set
+//   est1RM     — best estimated one-rep max (Brzycki ≤10 reps, Epley above, ≤12 reps only)
+//   longestHold — longest hold in seconds (plank, wall sit, hangs …)
+//   fastestSprint — fastest single sprint in seconds
+const PersonalRecordsAPI = {
+    HISTORY_LIMIT: 200,     // /progress/history has no cursor — older logs are not scanned
+
+    RECORD_TYPES: {
+        heaviest:      { label: 'Heaviest Set',    better: 'higher' },
+        maxReps:       { label: 'Most Reps',       better: 'higher' },
+        est1RM:        { label: 'Estimated 1RM',   better: 'higher' },
+        longestHold:   { label: 'Longest Hold',    better: 'higher' },
+        fastestSprint: { label: 'Fastest Sprint',  better: 'lower'  },
+    },
+
+    HOLD_PATTERN:   /plank|hold|wall\s*sit|hang|l-?sit/i,
+    SPRINT_PATTERN: /sprint/i,
+
+    epley(loadKg, reps)   { return reps > 0 ? loadKg * (1 + reps / 30) : null; },
+    brzycki(loadKg, reps) { return reps > 0 && reps < 37 ? loadKg * 36 / (37 - reps) : null; },
+
+    /** Estimated 1RM for one set, or null when reps are outside the reliable range. */
+    estimate1RM(loadKg, reps) {
+        if (!(loadKg > 0) || !(reps > 0) || reps > 12) return null;
+        if (reps === 1) return loadKg;
+        const value = reps <= 10 ? this.brzycki(loadKg, reps) : this.epley(loadKg, reps);
+        return value === null ? null : +value.toFixed(1);
+    },
+
+    formatLoad(kg, unit = localStorage.getItem('ff_load_unit') === 'lb' ? 'lb' : 'kg') {
+        if (kg == null) return '—';
+        const value = unit === 'lb' ? kg * LB_PER_KG : kg;
+        return `${Math.round(value * 2) / 2} ${unit}`;
+    },
+
+    formatValue(type, value) {
+        if (value == null) return '—';
+        if (type === 'heaviest' || type === 'est1RM') return this.formatLoad(value);
+        if (type === 'maxReps') return `${value} reps`;
+        const m = Math.floor(value / 60), s = Math.round(value % 60);
+        return m ? `${m}:${String(s).padStart(2, '0')} min` : `${s}s`;
+    },
+
+    /** Candidate values one log offers for each record type. */
+    _candidates(log) {
+        const name = log.exercise?.name || log.exerciseName || '';
+        const working = (log.setLogs || []).filter(s => !s.warmup);
+        const out = {};
+        const best = (type, value, detail) => {
+            if (value == null || !(value > 0)) return;
+            const higher = this.RECORD_TYPES[type].better === 'higher';
+            if (!out[type] || (higher ? value > out[type].value : value < out[type].value)) out[type] = { value, ...detail };
+        };
+
+        working.forEach(s => {
+            best('heaviest', s.loadKg, { reps: s.reps });
+            best('maxReps', s.reps, { loadKg: s.loadKg });
+            best('est1RM', this.estimate1RM(s.loadKg, s.reps), { loadKg: s.loadKg, reps: s.reps });
+            if (this.HOLD_PATTERN.test(name))   best('longestHold', s.durationSec);
+            if (this.SPRINT_PATTERN.test(name)) best('fastestSprint', s.durationSec);
+        });
+
+        if (!working.length) best('maxReps', parseInt(log.reps) || null, {});
+        // A hold logged without per-set timing is one continuous effort of `duration` minutes
+        if (this.HOLD_PATTERN.test(name) && !out.longestHold && !working.length && log.duration > 0 && log.duration <= 15) {
+            best('longestHold', log.duration * 60);
+        }
+        return out;
+    },
+
+    _logDate(log) { return log.completedAt || log.createdAt || log.date || null; },
+
+    /**
+     * Records and a PR timeline per exercise.
+     * Returns { [exerciseId]: { exerciseId, exerciseName, records, timeline } }
+     * where timeline lists every time a record was set or beaten, oldest first.
+     */
+    compute(logs) {
+        const byExercise = {};
+        (logs || [])
+            .map(_attachSetLogs)
+            .filter(l => l && (l.exerciseId || l.exercise?.id))
+            .sort((a, b) => new Date(this._logDate(a) || 0) - new Date(this._logDate(b) || 0))
+            .forEach(log => {
+                const id = String(log.exerciseId || log.exercise.id);
+                const entry = byExercise[id] ||= { exerciseId: id, exerciseName: log.exercise?.name || log.exerciseName || 'Exercise', records: {}, timeline: [] };
+                const candidates = this._candidates(log);
+                Object.entries(candidates).forEach(([type, cand]) => {
+                    const prev = entry.records[type];
+                    const higher = this.RECORD_TYPES[type].better === 'higher';
+                    if (prev && (higher ? cand.value <= prev.value : cand.value >= prev.value)) return;
+                    const record = { ...cand, date: this._logDate(log), logId: log.id || null };
+                    entry.timeline.push({ type, previous: prev ? prev.value : null, ...record });
+                    entry.records[type] = record;
+                });
+            });
+        return byExercise;
+    },
+
+    /**
+     * PRs a new (not yet saved) log would set against existing records.
+     * The first log of an exercise only establishes a baseline — nothing to celebrate.
+     */
+    detect(records, log) {
+        if (!records || !Object.keys(records).length) return [];
+        const candidates = this._candidates(_attachSetLogs({ ...log }));
+        return Object.entries(candidates).flatMap(([type, cand]) => {
+            const prev = records[type];
+            if (!prev) return [];
+            const higher = this.RECORD_TYPES[type].better === 'higher';
+            if (higher ? cand.value <= prev.value : cand.value >= prev.value) return [];
+            return [{ type, label: this.RECORD_TYPES[type].label, value: cand.value, previous: prev.value, ...cand }];
+        });
+    },
+
+    getAll: async () => {
+        const res = await ProgressAPI.getWorkoutHistory(PersonalRecordsAPI.HISTORY_LIMIT);
+        const logs = _historyList(res);
+        // truncated: the window was full, so records older than it may be missing
+        return { success: true, data: PersonalRecordsAPI.compute(logs), truncated: logs.length >= PersonalRecordsAPI.HISTORY_LIMIT };
+    },
+
+    getForExercise: async (exerciseId) => {
+        const res = await PersonalRecordsAPI.getAll();
+        return { success: true, data: res.data[String(exerciseId)] || null };
+    },
+};
+
+// ── PROGRESSION ───────────────────────────────────────────────────────────────
+// Deterministic next-session recommendation from the last few logs of one
+// exercise. Pure — ProgressionEngine.suggest(logs) needs no network, so it can
+// be exercised from the console or a test with hand-written logs.
+//
+// Loaded lifts use double progression: climb reps inside the rep range at a
+// fixed load; once every working set reaches the top of the range at RPE ≤ 8,
+// add load and drop back to the bottom. Bodyweight work adds reps, then a set.
+// Holds add time. Any set at RPE ≥ 9.5 repeats the session, and two sessions
+// in a row below the range at the same load trigger a 10 % deload.
+const ProgressionEngine = {
+    WINDOW: 5,                      // logs considered, most recent first
+    REP_RANGE: { load: [8, 12], bodyweight: [8, 20] },
+    MAX_SETS: 5,
+    EASY_RPE: 8,
+    GRIND_RPE: 9.5,
+    LOWER_BODY: /squat|deadlift|leg press|lunge|hip thrust|split squat|step-?up/i,
+
+    /** Load jump for the next session — smaller for light or upper-body lifts. */
+    increment(loadKg, exerciseName = '') {
+        if (loadKg < 20) return 1;
+        return this.LOWER_BODY.test(exerciseName) ? 5 : 2.5;
+    },
+
+    _working(log) {
+        return (log.setLogs || []).filter(s => !s.warmup);
+    },
+
+    _mode(logs, exerciseName) {
+        if (PersonalRecordsAPI.HOLD_PATTERN.test(exerciseName)) return 'hold';
+        const sets = logs.flatMap(l => this._working(l));
+        if (sets.some(s => s.loadKg > 0)) return 'load';
+        if (sets.length && sets.every(s => s.durationSec && !s.reps)) return 'hold';
+        return 'bodyweight';
+    },
+
+    // Working sets at the session's top load — back-off sets don't drive progression
+    _topSets(log) {
+        const sets = this._working(log);
+        const top = Math.max(0, ...sets.map(s => s.loadKg || 0));
+        return top ? sets.filter(s => (s.loadKg || 0) === top) : sets;
+    },
+
+    _maxRpe(sets) {
+        const rpes = sets.map(s => s.rpe).filter(r => r != null);
+        return rpes.length ? Math.max(...rpes) : null;
+    },
+
+    /**
+     * @param {object[]} logs   workout logs of ONE exercise (any order); setLogs optional
+     * @param {object}  [opts]  { exerciseName, repRange: [min, max] }
+     * @returns {{ type, sets, reps, loadKg, holdSec, suggestion, nextTarget, basedOn, source }}
+     */
+    suggest(logs, { exerciseName = '', repRange } = {}) {
+        const recent = (logs || [])
+            .map(l => _attachSetLogs({ ...l }))
+            .sort((a, b) => new Date(PersonalRecordsAPI._logDate(b) || 0) - new Date(PersonalRecordsAPI._logDate(a) || 0))
+            .slice(0, this.WINDOW);
+        const name = exerciseName || recent[0]?.exercise?.name || '';
+        const base = { basedOn: recent.length, source: 'local', sets: null, reps: null, loadKg: null, holdSec: null };
+
+        if (!recent.length) {
+            return { ...base, type: 'baseline',
+                suggestion: 'Log this session with reps, load and RPE — your next recommendation will be built from it.',
+                nextTarget: null };
+        }
+
+        let mode = this._mode(recent, name);
+        if (mode === 'hold') return { ...base, ...this._suggestHold(recent) };
+
+        // Load comes from the newest session that carried some — a scalar or
+        // load-less log since then must not reset it. None at all: progress reps.
+        const loaded = mode === 'load' ? recent.filter(l => this._topSets(l).some(s => s.loadKg > 0)) : [];
+        if (!loaded.length) mode = 'bodyweight';
+        const last = loaded[0] || recent[0];
+        const top = this._topSets(last);
+        // Logs without per-set data still have scalar sets × reps
+        const setCount = top.length || parseInt(last.sets) || 3;
+        const repsDone = top.length ? top.map(s => s.reps || 0) : Array(setCount).fill(parseInt(last.reps) || 0);
+        const minReps = Math.min(...repsDone);
+        const maxRpe = this._maxRpe(top);
+        const [lo, hi] = repRange || this.REP_RANGE[mode];
+
+        if (mode === 'load') {
+            const load = top[0].loadKg;
+            const fmt = kg => PersonalRecordsAPI.formatLoad(kg);
+            const belowAtSameLoad = loaded.slice(0, 2).filter(l => {
+                const t = this._topSets(l);
+                return t.length && t[0].loadKg === load && Math.min(...t.map(s => s.reps || 0)) < lo;
+            }).length;
+
+            if (belowAtSameLoad >= 2) {
+                const deload = Math.round(load * 0.9 * 2) / 2;
+                return { ...base, type: 'deload', sets: setCount, reps: lo, loadKg: deload,
+                    suggestion: `Two sessions below ${lo} reps at ${fmt(load)} — deload 10% and rebuild.`,
+                    nextTarget: `${setCount} × ${lo} @ ${fmt(deload)}` };
+            }
+            if (maxRpe !== null && maxRpe >= this.GRIND_RPE) {
+                return { ...base, type: 'repeat', sets: setCount, reps: Math.max(minReps, lo), loadKg: load,
+                    suggestion: `Last session hit RPE ${maxRpe}. Repeat ${fmt(load)} and aim for cleaner reps before progressing.`,
+                    nextTarget: `${setCount} × ${Math.max(minReps, lo)} @ ${fmt(load)}` };
+            }
+            if (minReps >= hi && (maxRpe === null || maxRpe <= this.EASY_RPE)) {
+                const next = +(load + this.increment(load, name)).toFixed(2);
+                return { ...base, type: 'overload', sets: setCount, reps: lo, loadKg: next,
+                    suggestion: `All sets reached ${hi} reps — add load and drop back to ${lo} reps.`,
+                    nextTarget: `${setCount} × ${lo} @ ${fmt(next)}` };
+            }
+            const target = Math.min(hi, Math.max(lo, minReps + 1));
+            return { ...base, type: 'intensity', sets: setCount, reps: target, loadKg: load,
+                suggestion: `Stay at ${fmt(load)} and add a rep to every set — progress load once you own ${hi} reps.`,
+                nextTarget: `${setCount} × ${target} @ ${fmt(load)}` };
+        }
+
+        // Bodyweight: reps up to the top of the range, then another set
+        if (maxRpe !== null && maxRpe >= this.GRIND_RPE) {
+            return { ...base, type: 'repeat', sets: setCount, reps: minReps,
+                suggestion: `Last session hit RPE ${maxRpe}. Repeat ${setCount} × ${minReps} with better form before adding volume.`,
+                nextTarget: `${setCount} × ${minReps}` };
+        }
+        if (minReps >= hi) {
+            if (setCount < this.MAX_SETS) {
+                return { ...base, type: 'overload', sets: setCount + 1, reps: lo,
+                    suggestion: `${hi}+ reps on every set — add a set and restart at ${lo} reps.`,
+                    nextTarget: `${setCount + 1} × ${lo}` };
+            }
+            return { ...base, type: 'overload', sets: setCount, reps: hi,
+                suggestion: `${this.MAX_SETS} × ${hi} is easy now — move to a harder variation or add load.`,
+                nextTarget: 'Harder variation' };
+        }
+        const target = Math.min(hi, Math.max(1, minReps) + (minReps < lo ? 1 : 2));
+        return { ...base, type: 'intensity', sets: setCount, reps: target,
+            suggestion: `Add reps across all ${setCount} sets next time.`,
+            nextTarget: `${setCount} × ${target}` };
+    },
+
+    _suggestHold(recent) {
+        const secs = l => {
+            const sets = this._working(l);
+            const best = Math.max(0, ...sets.map(s => s.durationSec || 0));
+            return best || (l.duration > 0 && l.duration <= 15 ? l.duration * 60 : 0);
+        };
+        const last = recent[0];
+        const hold = secs(last);
+        const maxRpe = this._maxRpe(this._working(last));
+        const sets = this._working(last).length || parseInt(last.sets) || 1;
+        const fmt = s => PersonalRecordsAPI.formatValue('longestHold', s);
+        if (!hold) {
+            return { type: 'baseline', sets,
+                suggestion: 'Time your holds with the timer so the next target can be set in seconds.', nextTarget: null };
+        }
+        if (maxRpe !== null && maxRpe >= this.GRIND_RPE) {
+            return { type: 'repeat', sets, holdSec: hold,
+                suggestion: `That hold was a grind (RPE ${maxRpe}). Match ${fmt(hold)} before going longer.`,
+                nextTarget: `${sets} × ${fmt(hold)}` };
+        }
+        const next = hold + Math.min(15, Math.max(5, Math.round(hold * 0.1 / 5) * 5));
+        return { type: 'overload', sets, holdSec: next,
+            suggestion: `Add time to each hold — build toward ${fmt(next)}.`,
+            nextTarget: `${sets} × ${fmt(next)}` };
+    },
+};
+
+// ── SESSION TIMING ────────────────────────────────────────────────────────────
+// Interval engine for workout sessions. Time is always derived from
+// Date.now() timestamps — the render loop only decides when to repaint — so a
+// throttled background tab or a slow device never drifts, and a session can be
+// rebuilt from { startedAt, pausedTotal } after a reload.
+const INTERVAL_PRESETS = {
+    tabata: { label: 'Tabata',     work: 20, rest: 10, rounds: 8 },
+    emom:   { label: 'EMOM',       work: 60, rest: 0,  rounds: 10 },
+    hiit:   { label: 'HIIT 40/20', work: 40, rest: 20, rounds: 10 },
+};
+
+class IntervalTimer {
+    /**
+     * @param {object} opts
+     * @param {{type:'prep'|'work'|'rest', duration:number, round:number}[]} opts.phases  seconds
+     * @param {Function} [opts.onTick]      (state) every repaint
+     * @param {Function} [opts.onPhase]     (phase, index) when a new phase begins
+     * @param {Function} [opts.onCountdown] (secondsLeft) at 3, 2, 1 before a phase ends
+     * @param {Function} [opts.onComplete]  (summary) after the last phase
+     */
+    constructor({ phases, config = null, onTick, onPhase, onCountdown, onComplete } = {}) {
+        this.phases = phases || [];
+        this.config = config;
+        this.handlers = { onTick, onPhase, onCountdown, onComplete };
+        this.startedAt = null;
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+        this._phaseIndex = -1;
+        this._lastCountdown = null;
+        this._raf = null;
+        this._interval = null;
+        this.done = false;
+    }
+
+    /** Work/rest/rounds → phase list; prep seconds count in before round 1. */
+    static build({ work, rest = 0, rounds = 1, prep = 10 } = {}, handlers = {}) {
+        const phases = [];
+        if (prep > 0) phases.push({ type: 'prep', duration: prep, round: 0 });
+        for (let r = 1; r <= rounds; r++) {
+            phases.push({ type: 'work', duration: work, round: r });
+            if (rest > 0 && r < rounds) phases.push({ type: 'rest', duration: rest, round: r });
+        }
+        return new IntervalTimer({ phases, config: { work, rest, rounds, prep }, ...handlers });
+    }
+
+    /** Paused snapshot of the clock — enough for restore() to rebuild it after a reload. */
+    snapshot(now = Date.now()) {
+        return {
+            config:      this.config,
+            phases:      this.config ? undefined : this.phases,
+            startedAt:   this.startedAt,
+            pausedAt:    this.startedAt === null ? null : (this.pausedAt ?? now),
+            pausedTotal: this.pausedTotal,
+            done:        this.done,
+        };
+    }
+
+    static restore(snap, handlers = {}) {
+        const timer = snap.config
+            ? IntervalTimer.build(snap.config, handlers)
+            : new IntervalTimer({ phases: snap.phases, ...handlers });
+        timer.startedAt   = snap.startedAt ?? null;
+        timer.pausedAt    = snap.pausedAt ?? null;
+        timer.pausedTotal = snap.pausedTotal || 0;
+        timer.done        = !!snap.done;
+        timer._phaseIndex = timer.state().index;
+        return timer;
+    }
+
+    get totalSec() { return this.phases.reduce((s, p) => s + p.duration, 0); }
+    get running() { return this.startedAt !== null && this.pausedAt === null && !this.done; }
+
+    elapsedMs(now = Date.now()) {
+        if (this.startedAt === null) return 0;
+        return Math.max(0, (this.pausedAt ?? now) - this.startedAt - this.pausedTotal);
+    }
+
+    /** Where the timer is right now — pure function of the timestamps. */
+    state(now = Date.now()) {
+        const elapsed = this.elapsedMs(now) / 1000;
+        let acc = 0;
+        for (let i = 0; i < this.phases.length; i++) {
+            const p = this.phases[i];
+            if (elapsed < acc + p.duration) {
+                return { index: i, phase: p, remaining: acc + p.duration - elapsed, elapsed, done: false };
+            }
+            acc += p.duration;
+        }
+        return { index: this.phases.length, phase: null, remaining: 0, elapsed: Math.min(elapsed, acc), done: true };
+    }
+
+    start() {
+        if (this.running) return;
+        const now = Date.now();
+        if (this.startedAt === null) this.startedAt = now;
+        if (this.pausedAt !== null) { this.pausedTotal += now - this.pausedAt; this.pausedAt = null; }
+        this._loop();
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.pausedAt = Date.now();
+        this._stopLoop();
+        this._emitTick();
+    }
+
+    stop() {
+        this._stopLoop();
+        if (this.startedAt !== null && this.pausedAt === null) this.pausedAt = Date.now();
+    }
+
+    // rAF for smooth repaints while visible; a coarse interval keeps phase cues
+    // firing when the tab is hidden (rAF is suspended there).
+    _loop() {
+        this._stopLoop();
+        const frame = () => { this._emitTick(); if (this.running) this._raf = requestAnimationFrame(frame); };
+        this._raf = requestAnimationFrame(frame);
+        this._interval = setInterval(() => this._emitTick(), 250);
+    }
+
+    _stopLoop() {
+        if (this._raf) cancelAnimationFrame(this._raf);
+        clearInterval(this._interval);
+        this._raf = null;
+        this._interval = null;
+    }
+
+    _emitTick() {
+        const st = this.state();
+        const { onTick, onPhase, onCountdown, onComplete } = this.handlers;
+        if (st.index !== this._phaseIndex) {
+            this._phaseIndex = st.index;
+            this._lastCountdown = null;
+            if (!st.done) onPhase?.(st.phase, st.index);
+        }
+        const secs = Math.ceil(st.remaining);
+        if (!st.done && secs <= 3 && secs >= 1 && secs !== this._lastCountdown && st.phase.duration > 3) {
+            this._lastCountdown = secs;
+            onCountdown?.(secs);
+        }
+        onTick?.(st);
+        if (st.done && !this.done) {
+            this.done = true;
+            this._stopLoop();
+            onComplete?.(this.summary());
+        }
+    }
+
+    /** Completed interval structure, as recorded on the workout log. */
+    summary() {
+        const st = this.state();
+        const finished = this.phases.slice(0, st.index);
+        const inProgress = st.done ? null : st.phase;
+        const secs = type => finished.filter(p => p.type === type).reduce((s, p) => s + p.duration, 0)
+            + (inProgress?.type === type ? Math.round(inProgress.duration - st.remaining) : 0);
+        return {
+            ...(this.config || {}),
+            roundsCompleted: finished.filter(p => p.type === 'work').length,
+            workSec: secs('work'),
+            restSec: secs('rest'),
+            totalSec: Math.round(st.elapsed),
+            completed: st.done,
+        };
+    }
+}
+
+// Audio + haptic cues. The AudioContext is created lazily on the first cue —
+// call SessionCues.unlock() from a click handler so iOS lets it play.
+const SessionCues = {
+    muted: localStorage.getItem('ff_cues_muted') === '1',
+    _ctx: null,
+
+    unlock() {
+        try {
+            this._ctx ||= new (window.AudioContext || window.webkitAudioContext)();
+            if (this._ctx.state === 'suspended') this._ctx.resume();
+        } catch {}
+    },
+
+    setMuted(muted) {
+        this.muted = !!muted;
+        try { localStorage.setItem('ff_cues_muted', this.muted ? '1' : '0'); } catch {}
+    },
+
+    beep(freq = 880, ms = 120, gain = 0.2) {
+        if (this.muted) return;
+        this.unlock();
+        const ctx = this._ctx;
+        if (!ctx) return;
+        const osc = ctx.createOscillator();
+        const vol = ctx.createGain();
+        osc.frequency.value = freq;
+        vol.gain.setValueAtTime(gain, ctx.currentTime);
+        vol.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + ms / 1000);
+        osc.connect(vol).connect(ctx.destination);
+        osc.start();
+        osc.stop(ctx.currentTime + ms / 1000);
+    },
+
+    vibrate(pattern) {
+        if (this.muted) return;
+        try { navigator.vibrate?.(pattern); } catch {}
+    },
+
+    countdown() { this.beep(660, 100); this.vibrate(60); },
+
+    phase(type) {
+        if (type === 'work') { this.beep(1046, 350, 0.3); this.vibrate([200, 80, 200]); }
+        else { this.beep(523, 350, 0.25); this.vibrate(300); }
+    },
+
+    complete() {
+        [0, 180, 360].forEach((d, i) => setTimeout(() => this.beep(784 + i * 131, 220, 0.3), d));
+        this.vibrate([300, 100, 300, 100, 500]);
+    },
+};
+
+// Keeps the screen on while a timer runs. The browser drops the lock whenever
+// the tab is hidden, so it is re-requested on return if still wanted.
+const ScreenWakeLock = {
+    _lock: null,
+    _wanted: false,
+
+    async acquire() {
+        this._wanted = true;
+        if (this._lock || !('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+        try {
+            this._lock = await navigator.wakeLock.request('screen');
+            this._lock.addEventListener('release', () => { this._lock = null; });
+        } catch {}
+    },
+
+    async release() {
+        this._wanted = false;
+        try { await this._lock?.release(); } catch {}
+        this._lock = null;
+    },
+};
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && ScreenWakeLock._wanted) ScreenWakeLock.acquire();
+});
+
+// ── HEART-RATE MONITOR ────────────────────────────────────────────────────────
+// Live heart rate from a Bluetooth LE strap through Web Bluetooth — any device
+// exposing the standard Heart Rate Service (0x180D) and its Heart Rate
+// Measurement characteristic (0x2A37). Subscribers get { bpm, state,
+// deviceName, simulated } on every reading and state change; the page decides
+// what to record. A dropped link is retried a few times before giving up.
+// simulate() stands in for a strap when testing without hardware.
+
+// A Bluetooth failure — no HTTP involved, so not an ApiError.
+// code is 'BLUETOOTH_UNAVAILABLE' or 'BLUETOOTH_ERROR'.
+class DeviceError extends Error {
+    constructor(message, { code = 'BLUETOOTH_ERROR' } = {}) {
+        super(message);
+        this.name = 'DeviceError';
+        this.code = code;
+    }
+}
+
+const HeartRateMonitor = {
+    SERVICE:            'heart_rate',               // 0x180D
+    CHARACTERISTIC:     'heart_rate_measurement',   // 0x2A37
+    RECONNECT_ATTEMPTS: 3,
+
+    state:      'idle',      // 'idle' | 'connecting' | 'connected' | 'reconnecting'
+    bpm:        null,
+    deviceName: '',
+    simulated:  false,
+    _device:    null,
+    _char:      null,
+    _sim:       null,
+    _closing:   false,
+    _listeners: new Set(),
+
+    supported() { return !!navigator.bluetooth; },
+
+    /** fn(snapshot) on every reading and state change; returns an unsubscribe function. */
+    subscribe(fn) {
+        this._listeners.add(fn);
+        return () => this._listeners.delete(fn);
+    },
+
+    _emit() {
+        const snap = { bpm: this.bpm, state: this.state, deviceName: this.deviceName, simulated: this.simulated };
+        this._listeners.forEach(fn => { try { fn(snap); } catch (e) { console.warn('[HeartRateMonitor] listener failed:', e); } });
+    },
+
+    _setState(state) {
+        this.state = state;
+        if (state !== 'connected') this.bpm = null;
+        this._emit();
+    },
+
+    // Straps send 0 while they have no skin contact — drop those and any glitches
+    _reading(bpm) {
+        if (!(bpm >= 30 && bpm <= 240)) return;
+        this.bpm = bpm;
+        this._emit();
+    },
+
+    /** Flags bit 0 picks a UINT8 or little-endian UINT16 value right after the flags byte. */
+    parseMeasurement(view) {
+        return view.getUint8(0) & 0x01 ? view.getUint16(1, true) : view.getUint8(1);
+    },
+
+    /**
+     * Opens the browser's device chooser and starts notifications. Resolves
+     * false when the member dismisses the chooser; throws DeviceError
+     * (BLUETOOTH_UNAVAILABLE / BLUETOOTH_ERROR) otherwise.
+     */
+    async connect() {
+        if (!this.supported()) {
+            throw new DeviceError('Bluetooth is not available in this browser — try Chrome or Edge.', { code: 'BLUETOOTH_UNAVAILABLE' });
+        }
+        await this.disconnect();
+        this._setState('connecting');
+        try {
+            this._device = await navigator.bluetooth.requestDevice({ filters: [{ services: [this.SERVICE] }] });
+        } catch (err) {
+            this._setState('idle');
+            if (err?.name === 'NotFoundError') return false;
+            throw new DeviceError(err?.message || 'Could not open the Bluetooth chooser.');
+        }
+        this.deviceName = this._device.name || 'Heart-rate monitor';
+        this._device.addEventListener('gattserverdisconnected', this._onDisconnected);
+        try {
+            await this._start();
+        } catch (err) {
+            await this.disconnect();
+            throw new DeviceError(err?.message || 'Could not connect to the heart-rate monitor.');
+        }
+        return true;
+    },
+
+    async _start() {
+        const server  = await this._device.gatt.connect();
+        const service = await server.getPrimaryService(this.SERVICE);
+        this._char = await service.getCharacteristic(this.CHARACTERISTIC);
+        this._char.addEventListener('characteristicvaluechanged', this._onValue);
+        await this._char.startNotifications();
+        this._setState('connected');
+    },
+
+    // Arrow functions so they can be added and removed as event listeners
+    _onValue: e => HeartRateMonitor._reading(HeartRateMonitor.parseMeasurement(e.target.value)),
+    _onDisconnected: () => HeartRateMonitor._reconnect(),
+
+    async _reconnect() {
+        if (this._closing || !this._device) return;
+        this._char?.removeEventListener('characteristicvaluechanged', this._onValue);
+        this._char = null;
+        this._setState('reconnecting');
+        for (let attempt = 1; attempt <= this.RECONNECT_ATTEMPTS; attempt++) {
+            await new Promise(r => setTimeout(r, attempt * 1000));
+            if (this._closing || !this._device) return;
+            try { await this._start(); return; } catch {}
+        }
+        await this.disconnect();
+    },
+
+    /** Stand-in strap for testing: a 1 Hz reading drifting between easy and hard efforts. */
+    async simulate() {
+        await this.disconnect();
+        this.simulated  = true;
+        this.deviceName = 'Simulated monitor';
+        let bpm = 80, target = 80, tick = 0;
+        this._sim = setInterval(() => {
+            if (tick++ % 45 === 0) target = 100 + Math.round(Math.random() * 75);
+            bpm += (target - bpm) * 0.08 + (Math.random() - 0.5) * 3;
+            this._reading(Math.round(bpm));
+        }, 1000);
+        this._setState('connected');
+        return true;
+    },
+
+    async disconnect() {
+        this._closing = true;
+        clearInterval(this._sim);
+        this._sim = null;
+        if (this._char) {
+            this._char.removeEventListener('characteristicvaluechanged', this._onValue);
+            try { await this._char.stopNotifications(); } catch {}
+        }
+        if (this._device) {
+            this._device.removeEventListener('gattserverdisconnected', this._onDisconnected);
+            try { if (this._device.gatt?.connected) this._device.gatt.disconnect(); } catch {}
+        }
+        this._char = this._device = null;
+        this.simulated  = false;
+        this.deviceName = '';
+        this._closing   = false;
+        if (this.state !== 'idle') this._setState('idle');
+    },
+};
+
+// ── WORKOUT SESSION CHECKPOINTS ───────────────────────────────────────────────
+// The in-progress session on /workout-session (timer, sets, form fields and the
+// exercise/program-day context) is checkpointed to localStorage so a reload or
+// crash can resume it. A checkpoint left untouched for longer than the abandon
+// window is finalised into a draft log the user can submit or throw away.
+const WorkoutSessionStore = {
+    KEY:         'ff_active_session',
+    DRAFTS_KEY:  'ff_workout_drafts',
+    WINDOW_KEY:  'ff_session_abandon_min',
+    DEFAULT_ABANDON_MIN: 360,
+    MAX_DRAFTS:  10,
+
+    abandonAfterMs() {
+        const min = parseInt(localStorage.getItem(this.WINDOW_KEY));
+        return (min > 0 ? min : this.DEFAULT_ABANDON_MIN) * 60 * 1000;
+    },
+
+    setAbandonWindow(minutes) {
+        const min = parseInt(minutes);
+        if (min > 0) localStorage.setItem(this.WINDOW_KEY, String(min));
+        else localStorage.removeItem(this.WINDOW_KEY);
+    },
+
+    save(state) {
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify({ ...state, v: 1, savedAt: Date.now() }));
+        } catch (e) {
+            console.warn('[WorkoutSessionStore] checkpoint failed:', e.message);
+        }
+    },
+
+    peek() {
+        try { return JSON.parse(localStorage.getItem(this.KEY) || 'null'); } catch { return null; }
+    },
+
+    /** The saved session, or null — an abandoned one is turned into a draft first. */
+    load() {
+        const saved = this.peek();
+        if (!saved) return null;
+        if (Date.now() - (saved.savedAt || 0) > this.abandonAfterMs()) {
+            this.finalise(saved);
+            return null;
+        }
+        return saved;
+    },
+
+    clear() { localStorage.removeItem(this.KEY); },
+
+    /**
+     * Move a session into the drafts list. state.draft is the logWorkout payload, or an array for a queue.
+     * A single payload is checkpointed without its hrSeries, which comes back from state.hrSeries here.
+     * The live session is cleared only once the draft is written — a full localStorage keeps the session.
+     */
+    finalise(state = this.peek()) {
+        const payloads = [].concat(state?.draft || []).filter(p => p?.exerciseId);
+        if (!payloads.length) {
+            this._release(state);
+            return null;
+        }
+        if (!Array.isArray(state.draft) && state.hrSeries?.length) {
+            payloads[0] = { ...payloads[0], hrSeries: state.hrSeries };
+        }
+        const draft = {
+            id:           state.id || _newIdempotencyKey(),
+            createdAt:    state.savedAt || Date.now(),
+            exerciseName: state.exerciseName || '',
+            context:      state.context || '',
+            search:       state.search || '',
+            payload:      Array.isArray(state.draft) ? payloads : payloads[0],
+        };
+        const drafts = this.drafts().filter(d => d.id !== draft.id);
+        drafts.unshift(draft);
+        try {
+            localStorage.setItem(this.DRAFTS_KEY, JSON.stringify(drafts.slice(0, this.MAX_DRAFTS)));
+        } catch (e) {
+            console.warn('[WorkoutSessionStore] draft not saved:', e.message);
+            return null;
+        }
+        this._release(state);
+        return draft;
+    },
+
+    // Drop the live session (if `state` is still it) and its queue once they are no longer needed
+    _release(state) {
+        if (this.peek()?.savedAt === state?.savedAt) this.clear();
+        // The draft carries the queue's logs now, so the queue itself can't be reopened
+        if (state?.queueId && WorkoutQueue.load(state.queueId)) WorkoutQueue.clear();
+    },
+
+    drafts() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.DRAFTS_KEY) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch { return []; }
+    },
+
+    removeDraft(id) {
+        try {
+            localStorage.setItem(this.DRAFTS_KEY, JSON.stringify(this.drafts().filter(d => d.id !== id)));
+        } catch (e) {
+            console.warn('[WorkoutSessionStore] draft not removed:', e.message);
+        }
+    },
+
+    // The draft id doubles as the idempotency key, so a retried submit can't double-log.
+    async submitDraft(id) {
+        const draft = this.drafts().find(d => d.id === id);
+        if (!draft) return { success: false, message: 'Draft not found' };
+        if (Array.isArray(draft.payload)) {
+            const res = await ProgressAPI.logWorkoutBatch(draft.payload);
+            if (res.success) this.removeDraft(id);
+            else throw res.data.failed[0].error;
+            return res;
+        }
+        const res = await ProgressAPI.logWorkout({ ...draft.payload, clientId: draft.id });
+        this.removeDraft(id);
+        return res;
+    },
+};
+
+// ── WORKOUT QUEUES ────────────────────────────────────────────────────────────
+// A queue is a whole session — a program day or a hand-picked list — run on a
+// single /workout-session?queue=<id> visit. Consecutive exercises sharing a
+// `group` label form a superset (two) or circuit (three or more): one set of
+// each member per round, resting only once the round is through. Ungrouped
+// exercises run all their sets before moving on.
+// The queue, its cursor and every exercise's sets live in localStorage so the
+// runner survives reloads alongside WorkoutSessionStore.
+const WorkoutQueue = {
+    KEY:              'ff_session_queue',
+    DEFAULT_SETS:     3,
+    DEFAULT_REST_SEC: 60,
+
+    /**
+     * @param {object}   opts
+     * @param {string}   opts.title
+     * @param {object[]} opts.items    exercises — {exerciseId|id, guideId, name, category, caloriesPerMin, sets, reps, restSec, group}
+     * @param {object}   [opts.source] program context — {programId, enrollmentId, dayIndex, day}
+     * @param {boolean}  [opts.circuit] run every exercise as one circuit of `rounds`
+     * @param {number}   [opts.restSec] rest between rounds / exercises
+     * @param {number}   [opts.cursor]  item index to start from
+     */
+    create({ title = 'Workout Session', items = [], source = null, circuit = false, rounds, restSec, cursor = 0 } = {}) {
+        const list = items.map((it, i) => this.normaliseItem(it, i))
+            .map(it => circuit ? { ...it, group: 'A', sets: parseInt(rounds) || it.sets } : it);
+        const steps = this.buildSteps(list);
+        return {
+            id:        _newIdempotencyKey(),
+            title,
+            source,
+            restSec:   Number.isFinite(parseInt(restSec)) ? Math.max(0, parseInt(restSec)) : this.DEFAULT_REST_SEC,
+            items:     list,
+            steps,
+            cursor:    Math.max(0, steps.findIndex(st => st.item >= cursor)),
+            logs:      {},
+            createdAt: Date.now(),
+        };
+    },
+
+    normaliseItem(raw, i) {
+        const ex = raw?.exercise || {};
+        const exerciseId = raw?.exerciseId || ex.id || raw?.id || '';
+        return {
+            exerciseId,
+            guideId:  raw?.guideId || exerciseId,
+            name:     raw?.name || ex.name || `Exercise ${i + 1}`,
+            category: raw?.category || ex.category || 'STRENGTH',
+            cal:      Number(raw?.caloriesPerMin ?? raw?.cal ?? ex.caloriesPerMin ?? 0) || 0,
+            met:      Number(raw?.met ?? ex.met) || null,
+            sets:     Math.max(1, parseInt(raw?.sets) || this.DEFAULT_SETS),
+            reps:     parseInt(raw?.reps) || null,
+            restSec:  Number.isFinite(parseInt(raw?.restSec)) ? Math.max(0, parseInt(raw.restSec)) : null,
+            group:    raw?.group || raw?.supersetGroup || null,
+        };
+    },
+
+    /** Flatten items into the run order: [{item, round, rounds, group, endOfRound}]. */
+    buildSteps(items) {
+        const steps = [];
+        for (let i = 0; i < items.length;) {
+            const group = items[i].group;
+            let j = i + 1;
+            while (group && j < items.length && items[j].group === group) j++;
+            const members = items.slice(i, j).map((it, k) => ({ it, idx: i + k }));
+            if (members.length === 1) {
+                steps.push({ item: i, round: null, rounds: items[i].sets, group: null, endOfRound: true });
+            } else {
+                const rounds = Math.max(...members.map(m => m.it.sets));
+                for (let r = 1; r <= rounds; r++) {
+                    const inRound = members.filter(m => m.it.sets >= r);
+                    inRound.forEach((m, k) => steps.push({
+                        item: m.idx, round: r, rounds, group, endOfRound: k === inRound.length - 1,
+                    }));
+                }
+            }
+            i = j;
+        }
+        return steps;
+    },
+
+    /** "Superset A" / "Circuit A" for grouped items, null otherwise. */
+    groupLabel(queue, group) {
+        if (!group) return null;
+        const size = queue.items.filter(it => it.group === group).length;
+        return `${size > 2 ? 'Circuit' : 'Superset'} ${group}`;
+    },
+
+    load(id) {
+        try {
+            const q = JSON.parse(localStorage.getItem(this.KEY) || 'null');
+            return q && (!id || q.id === id) ? q : null;
+        } catch { return null; }
+    },
+
+    save(queue) {
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(queue));
+        } catch (e) {
+            console.warn('[WorkoutQueue] save failed:', e.message);
+        }
+    },
+
+    clear() { localStorage.removeItem(this.KEY); },
+
+    url(queue) { return `/workout-session?queue=${encodeURIComponent(queue.id)}`; },
+
+    /** Create, persist and open a queue. */
+    start(opts) {
+        const queue = this.create(opts);
+        if (!queue.items.length) return null;
+        this.save(queue);
+        window.location.href = this.url(queue);
+        return queue;
     },
-    recalculateAchievements: async () => await apiRequest('/progress/achievements/recalculate', { method: 'POST' }),
 };
 
 // ── USERS ─────────────────────────────────────────────────────────────────────
+// ── Body metrics ─────────────────────────────────────────────────────────────
+// A metric snapshot as profile.html logs it: weight plus any of body fat %,
+// muscle mass and resting heart rate (bpm). Snapshots live under
+// /progress/metrics — the route profile.html and progress.html already use.
+function _normaliseMetric(raw) {
+    const num = v => { const n = parseFloat(v); return Number.isFinite(n) && n > 0 ? n : null; };
+    return {
+        ...raw,
+        date:             raw?.date || raw?.recordedAt || raw?.createdAt || null,
+        weight:           num(raw?.weight),
+        bodyFat:          num(raw?.bodyFat ?? raw?.bodyFatPct ?? raw?.body_fat),
+        restingHeartRate: num(raw?.restingHeartRate ?? raw?.resting_heart_rate),
+        muscleMass:       num(raw?.muscleMass ?? raw?.muscle_mass),
+    };
+}
+
 const UserAPI = {
     getProfile:        async ()             => await apiRequest('/users/me'),
     updateProfile:     async (profileData)  => await apiRequest('/users/me', { method:'PUT', body:JSON.stringify(profileData) }),
     updateMetrics:     async (metrics)      => await apiRequest('/users/metrics', { method:'POST', body:JSON.stringify(metrics) }),
-    getMetricsHistory: async (limit=30)     => await apiRequest(`/users/metrics/history?limit=${limit}`),
+
+    /**
+     * Metric snapshots, newest first, normalised by _normaliseMetric.
+     * before: date cursor of the oldest snapshot already fetched (next page).
+     */
+    getMetricsHistory: async (limit = 30, { before } = {}) => {
+        const res = await apiRequest(`/progress/metrics/history${toQueryString({ limit, before })}`);
+        const list = _extractArrayPayload(res, ['metrics', 'history', 'items'])
+            .map(_normaliseMetric)
+            .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+        return { ...res, success: res?.success !== false, data: list };
+    },
 
     /**
      * Compute biometric analytics from real DB data.
      *
      * Data sources (all from existing routes):
      *   GET /users/me            → profile.weight, profile.height, profile.dateOfBirth, profile.gender
-     *   GET /users/metrics/history → ordered metric snapshots (weight trend)
-     *   GET /progress/stats?period=30d → totalWorkouts (activity consistency)
-     *   GET /progress/stats?period=90d → 90-day history for strength progress estimate
-     *   GET /progress/streaks    → currentStreak (consistency bonus)
+     *   GET /progress/metrics/history → metric snapshots (weight trend)
+     *   GET /progress/stats?period=30d → totalWorkouts (model v1 activity)
+     *   GET /progress/stats?period=90d → totalWorkouts (model v1 sessions)
+     *   GET /progress/streaks    → currentStreak (model v1 streak bonus)
+     *   GET /progress/history    → logs for training days, cardio minutes, volume and
+     *                              strength progress (model v2)
      *
      * Formulas:
      *   BMI             = weight(kg) / (height(m))²
      *   Body Fat % (M)  = 1.20×BMI + 0.23×Age − 16.2
      *   Body Fat % (F)  = 1.20×BMI + 0.23×Age −  5.4
-     *   Fitness Score   = clamp(bmiScore + bfScore + activityScore + strengthScore, 0, 100)
-     *     bmiScore      = 25 × (1 − |BMI−22| / 20)          (peaks at BMI 22, ideal midpoint)
-     *     bfScore       = 25 × (1 − clamp(bf−ideal, 0, 20) / 20)
-     *     activityScore = 25 × clamp(workouts30d / 20, 0, 1) (20 workouts/month = perfect)
-     *     strengthScore = 25 × clamp(workouts90d / 60, 0, 1) (60 workouts/90d = perfect)
+     *   Fitness Score   = FitnessScore.compute() — weights and targets per model version
      *
-     * Returns: { success, data: { bmi, bmiCategory, bodyFatPct, weightTrend,
-     *                             fitnesScore, bmiScore, activityScore, strengthScore,
-     *                             bfScore, profile, metricsHistory } }
+     * Returns: { success, data: { bmi, bmiCategory, bodyFatPct, weightTrend, fitnessScore,
+     *                             score (see FitnessScore.compute), profile,
+     *                             metricsHistory, weightHistory } }
      */
     getBiometricAnalytics: async () => {
         try {
-            const [profileRes, metricsRes, stats30Res, stats90Res, streakRes] = await Promise.all([
+            const [profileRes, metricsRes, stats30Res, stats90Res, streakRes, historyRes] = await Promise.all([
                 apiRequest('/users/me').catch(() => null),
-                apiRequest('/users/metrics/history?limit=10').catch(() => null),
+                UserAPI.getMetricsHistory(30).catch(() => null),
                 apiRequest('/progress/stats?period=30d').catch(() => null),
                 apiRequest('/progress/stats?period=90d').catch(() => null),
                 apiRequest('/progress/streaks').catch(() => null),
+                ProgressAPI.getWorkoutHistory(PersonalRecordsAPI.HISTORY_LIMIT).catch(() => null),
             ]);
 
             const profile = profileRes?.data?.profile || profileRes?.data || null;
             const user    = profileRes?.data || null;
 
-            // ── Raw biometric inputs ───────────────────────────────────
-            const weightKg  = parseFloat(profile?.weight)  || null;
-            const heightCm  = parseFloat(profile?.height)  || null;
-            const gender    = (profile?.gender || '').toUpperCase(); // 'MALE' | 'FEMALE'
-            const dob       = profile?.dateOfBirth ? new Date(profile.dateOfBirth) : null;
-            const ageYears  = dob
-                ? Math.floor((Date.now() - dob.getTime()) / (365.25 * 24 * 3600 * 1000))
-                : null;
+            // ── Raw biometric inputs ───────────────────────────────────
+            const weightKg  = parseFloat(profile?.weight)  || null;
+            const heightCm  = parseFloat(profile?.height)  || null;
+            const gender    = (profile?.gender || '').toUpperCase(); // 'MALE' | 'FEMALE'
+            const dob       = profile?.dateOfBirth ? new Date(profile.dateOfBirth) : null;
+            const ageYears  = dob
+                ? Math.floor((Date.now() - dob.getTime()) / (365.25 * 24 * 3600 * 1000))
+                : null;
+
+            // ── BMI ───────────────────────────────────────────────────
+            let bmi = null;
+            if (weightKg && heightCm && heightCm > 0) {
+                const heightM = heightCm / 100;
+                bmi = +(weightKg / (heightM * heightM)).toFixed(1);
+            }
+
+            // ── BMI Category ─────────────────────────────────────────
+            let bmiCategory = null;
+            if (bmi !== null) {
+                if      (bmi < 18.5) bmiCategory = 'Underweight';
+                else if (bmi < 25.0) bmiCategory = 'Normal';
+                else if (bmi < 30.0) bmiCategory = 'Overweight';
+                else                 bmiCategory = 'Obese';
+            }
+
+            const metricsHistory = Array.isArray(metricsRes?.data) ? metricsRes.data : [];
+            const weightHistory  = metricsHistory.filter(m => m.weight !== null);
+
+            // ── Body Fat % (Deurenberg formula) ──────────────────────
+            let bodyFatPct = null;
+            if (bmi !== null && ageYears !== null) {
+                const genderConst = gender === 'FEMALE' ? -5.4 : -16.2;
+                bodyFatPct = +(1.20 * bmi + 0.23 * ageYears + genderConst).toFixed(1);
+                bodyFatPct = Math.max(3, bodyFatPct); // physiological floor
+            }
+
+            // ── Weight Change Trend (smoothed — see WeightTrend) ─────
+            let weightTrend = null; // kg, positive = gained, negative = lost
+            let weightTrendPct = null;
+            if (weightHistory.length >= 2) {
+                const smoothed = WeightTrend.smooth(weightHistory);
+                const latest = smoothed[smoothed.length - 1].trend;
+                const prev   = smoothed[0].trend;
+                if (prev > 0) {
+                    weightTrend    = +(latest - prev).toFixed(1);
+                    weightTrendPct = +(((latest - prev) / prev) * 100).toFixed(1);
+                }
+            } else if (weightHistory.length === 1 && weightKg) {
+                // Only one snapshot — compare to profile weight
+                const snap = weightHistory[0].weight;
+                if (!isNaN(snap) && weightKg > 0) {
+                    weightTrend    = +(snap - weightKg).toFixed(1);
+                    weightTrendPct = +(((snap - weightKg) / weightKg) * 100).toFixed(1);
+                }
+            }
+
+            // ── Activity inputs for fitness score ─────────────────────
+            const stats30 = stats30Res?.data?.stats || stats30Res?.data || {};
+            const stats90 = stats90Res?.data?.stats || stats90Res?.data || {};
+            const workouts30d = stats30.totalWorkouts || 0;
+            const workouts90d = stats90.totalWorkouts || 0;
+            const streak      = streakRes?.data?.currentStreak || 0;
+
+            // ── Fitness Score ─────────────────────────────────────────
+            const score = FitnessScore.compute({
+                ageYears, gender, weightKg, bmi, bodyFatPct,
+                workouts30d, workouts90d, streak,
+                logs: _historyList(historyRes),
+            });
+            const fitnessScore = score.score;
+            FitnessScore.record(score);
+
+            return {
+                success: true,
+                data: {
+                    bmi, bmiCategory, bodyFatPct,
+                    weightTrend, weightTrendPct,
+                    fitnessScore,
+                    score,
+                    inputs: { weightKg, heightCm, ageYears, gender, workouts30d, workouts90d, streak },
+                    metricsHistory,
+                    weightHistory,
+                    profile,
+                },
+            };
+        } catch (err) {
+            console.error('[UserAPI.getBiometricAnalytics]', err);
+            return { success: false, error: err?.message || 'Failed to compute analytics' };
+        }
+    },
+};
+
+// ── WEIGHT TREND ──────────────────────────────────────────────────────────────
+// Day-to-day scale readings move ±1 kg with water and food, which buries the
+// real direction. WeightTrend:
+//   • smooths readings with an exponential moving average whose factor scales
+//     with the gap between weigh-ins (10 %/day, so a reading after a week's
+//     break counts for ~52 %, not 10 %);
+//   • fits a least-squares line through the trend over the last REGRESSION_DAYS
+//     for the weekly rate, and extends it to profile.targetWeight for an ETA;
+//   • flags a plateau when that rate has stayed under PLATEAU_RATE kg/week for
+//     PLATEAU_DAYS while the goal is still more than GOAL_TOLERANCE kg away.
+//
+//   const { data } = await WeightTrend.get('90d');
+//   data → { period, points:[{date, weight, trend}], trendWeight, weeklyRate,
+//            change, goalWeight, projection, plateau }
+const WeightTrend = {
+    PERIODS:         { '30d': 30, '90d': 90, '1y': 365, all: null },
+    PAGE_SIZE:       100,
+    MAX_PAGES:       20,
+    SMOOTHING:       0.1,
+    REGRESSION_DAYS: 28,
+    PLATEAU_DAYS:    21,
+    PLATEAU_RATE:    0.1,   // kg / week
+    GOAL_TOLERANCE:  0.5,   // kg
+    MAX_PROJECTION_DAYS: 730,
+
+    /**
+     * Snapshots with a weight inside `period`, oldest first. Pages backwards
+     * through UserAPI.getMetricsHistory until it passes the period's start.
+     */
+    async history(period = '90d') {
+        const days = this.PERIODS[period] === undefined ? this.PERIODS['90d'] : this.PERIODS[period];
+        const since = days ? _addDays(_dateFromKey(_localDateKey()), -days) : null;
+        const seen = new Set();
+        const entries = [];
+        let before;
+        for (let page = 0; page < this.MAX_PAGES; page++) {
+            const res = await UserAPI.getMetricsHistory(this.PAGE_SIZE, { before });
+            const batch = (res?.data || []).filter(m => m.date);
+            const fresh = batch.filter(m => {
+                const key = m.id ?? `${m.date}|${m.weight}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+            entries.push(...fresh);
+            const oldest = batch[batch.length - 1];
+            // A server that ignores the cursor returns the same page again — stop there
+            if (!fresh.length || batch.length < this.PAGE_SIZE) break;
+            if (since && new Date(oldest.date) < since) break;
+            before = oldest.date;
+        }
+        return entries
+            .filter(m => m.weight !== null && (!since || new Date(m.date) >= since))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    },
+
+    /** [{date, weight}] in any order → [{date, weight, trend}] oldest first. */
+    smooth(entries) {
+        const sorted = entries
+            .filter(e => e && e.date && Number.isFinite(e.weight))
+            .slice()
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        let trend = null, prev = null;
+        return sorted.map(e => {
+            const at = new Date(e.date);
+            if (trend === null) trend = e.weight;
+            else {
+                const gapDays = Math.max(0, (at - prev) / 86400000);
+                const alpha = 1 - Math.pow(1 - this.SMOOTHING, Math.max(gapDays, 1));
+                trend += alpha * (e.weight - trend);
+            }
+            prev = at;
+            return { date: e.date, weight: e.weight, trend: +trend.toFixed(2) };
+        });
+    },
+
+    /** Least-squares fit of trend against days → { slope (kg/day), intercept, origin } */
+    regression(points) {
+        if (points.length < 2) return null;
+        const origin = new Date(points[0].date).getTime();
+        const xs = points.map(p => (new Date(p.date).getTime() - origin) / 86400000);
+        const ys = points.map(p => p.trend);
+        const n = xs.length;
+        const mx = xs.reduce((a, b) => a + b, 0) / n;
+        const my = ys.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0, sxx = 0;
+        xs.forEach((x, i) => { sxy += (x - mx) * (ys[i] - my); sxx += (x - mx) * (x - mx); });
+        if (!sxx) return null;
+        const slope = sxy / sxx;
+        return { slope, intercept: my - slope * mx, origin };
+    },
+
+    /** Pure analysis of weigh-ins; see the section comment for the shape. */
+    analyse(entries, { goalWeight = null, today = new Date() } = {}) {
+        const points = this.smooth(entries);
+        const result = {
+            points, trendWeight: null, weeklyRate: null, change: null,
+            goalWeight: Number.isFinite(goalWeight) && goalWeight > 0 ? goalWeight : null,
+            projection: null, plateau: { detected: false, days: 0 },
+        };
+        if (!points.length) return result;
+
+        const last = points[points.length - 1];
+        result.trendWeight = last.trend;
+        result.change = +(last.trend - points[0].trend).toFixed(1);
+
+        const windowStart = _addDays(new Date(last.date), -this.REGRESSION_DAYS);
+        const recent = points.filter(p => new Date(p.date) >= windowStart);
+        const fit = this.regression(recent);
+        if (!fit) return result;
+        result.weeklyRate = +(fit.slope * 7).toFixed(2);
+
+        if (result.goalWeight !== null) {
+            const remaining = result.goalWeight - last.trend;
+            const reached = Math.abs(remaining) <= this.GOAL_TOLERANCE;
+            const towards = fit.slope !== 0 && Math.sign(fit.slope) === Math.sign(remaining);
+            const days = towards ? Math.ceil(remaining / fit.slope) : null;
+            result.projection = {
+                reached,
+                onTrack: reached || (days !== null && days <= this.MAX_PROJECTION_DAYS),
+                days: reached ? 0 : days,
+                date: reached ? _localDateKey(today)
+                    : days !== null && days <= this.MAX_PROJECTION_DAYS ? _localDateKey(_addDays(today, days)) : null,
+            };
+        }
+
+        const spanDays = (new Date(last.date) - new Date(recent[0].date)) / 86400000;
+        const atGoal = result.projection?.reached;
+        if (!atGoal && spanDays >= this.PLATEAU_DAYS && recent.length >= 3
+            && Math.abs(result.weeklyRate) < this.PLATEAU_RATE) {
+            result.plateau = { detected: true, days: Math.round(spanDays) };
+        }
+        return result;
+    },
+
+    async get(period = '90d') {
+        try {
+            const [entries, profileRes] = await Promise.all([
+                this.history(period),
+                apiRequest('/users/me').catch(() => null),
+            ]);
+            const profile = profileRes?.data?.profile || profileRes?.data || null;
+            const goalWeight = parseFloat(profile?.targetWeight ?? profile?.goalWeight) || null;
+            return { success: true, data: { period, ...this.analyse(entries, { goalWeight }) } };
+        } catch (err) {
+            console.error('[WeightTrend.get]', err);
+            return { success: false, error: err?.message || 'Failed to load weight trend' };
+        }
+    },
+};
+
+// ── FITNESS SCORE ─────────────────────────────────────────────────────────────
+// One 0–100 number built from weighted components. Each component turns an
+// input into a 0–1 fraction of its target; the model version fixes which
+// components count and how much. Targets depend on age and gender (see
+// targetsFor), and every component reports its raw value and target, so the
+// score can always be explained.
+//
+// A component with no data (no height for BMI, no repeated lifts for strength)
+// is left out and its weight shared across the rest — except in v1, which
+// scored missing data as zero. Scores are kept per device, one per day, so the
+// dashboard can say what moved since last week.
+//
+//   FitnessScore.compute(inputs)  → { version, label, score, components:[…] }
+//   FitnessScore.explain()        → { since, scoreDelta, changes:[…] } | null
+const FitnessScore = {
+    VERSION:       2,
+    HISTORY_KEY:   'ff_fitness_score_history',
+    HISTORY_DAYS:  180,
+    WINDOW_DAYS:   28,      // training components look at the last four weeks
+    // The category decides when it says either way; names only break ties for
+    // uncategorised logs, and only as whole words ("Crunch" is not a run)
+    CARDIO_CATEGORIES:   ['CARDIO', 'HIIT'],
+    STRENGTH_CATEGORIES: ['STRENGTH', 'CORE', 'FLEXIBILITY', 'MOBILITY'],
+    CARDIO_PATTERN: /\b(cardio|run(ning)?|jog(ging)?|sprints?|cycl(e|ing)|bike|biking|spin(ning)?|swim(ming)?|walk(ing)?|skipping|jump(ing)? rope|(rowing|row) (machine|erg)|rower|erg|elliptical)\b/i,
+    BODYWEIGHT_LOAD_FACTOR: 0.5,   // share of body weight moved by a bodyweight rep
+
+    MODELS: {
+        1: {
+            label: 'Classic',
+            missing: 'zero',
+            weights: { legacyBmi: 25, legacyBodyFat: 25, legacyActivity: 25, legacySessions: 25 },
+        },
+        2: {
+            label: 'Balanced',
+            missing: 'redistribute',
+            weights: { consistency: 25, cardio: 20, volume: 20, strength: 15, bmi: 10, bodyFat: 10 },
+        },
+    },
+
+    /**
+     * Targets for one person. Body-fat ranges follow Gallagher et al. (2000);
+     * cardio minutes follow the WHO activity guidelines; the volume target is a
+     * multiple of body weight lifted per week, eased after 50 and 65.
+     */
+    targetsFor({ ageYears = null, gender = '', weightKg = null } = {}) {
+        const female = String(gender).toUpperCase() === 'FEMALE';
+        const age = Number.isFinite(ageYears) ? ageYears : 35;
+        const band = age < 40 ? 0 : age < 60 ? 1 : 2;
+        const bodyWeight = weightKg || (female ? 65 : 78);
+        return {
+            bmi:             age >= 65 ? [22, 27] : [18.5, 25],
+            bodyFat:         (female ? [[21, 32], [23, 33], [24, 35]] : [[8, 19], [11, 21], [13, 24]])[band],
+            sessionsPerWeek: age >= 65 ? 3 : 4,
+            cardioMinutes:   age < 18 ? 420 : 150,
+            weeklyVolumeKg:  Math.round(bodyWeight * (female ? 28 : 40) * (age >= 65 ? 0.6 : age >= 50 ? 0.8 : 1)),
+            strengthGainPct: age >= 50 ? 2.5 : 5,
+            bodyWeight,
+        };
+    },
+
+    // 1 inside [lo, hi], falling to 0 `span` units outside it
+    _inRange(value, [lo, hi], span) {
+        if (value >= lo && value <= hi) return 1;
+        const off = value < lo ? lo - value : value - hi;
+        return Math.max(0, 1 - off / span);
+    },
+
+    _ratio(value, target) { return target > 0 ? Math.min(1, Math.max(0, value / target)) : 0; },
+
+    /** Each returns { value, unit, target, fraction } — fraction null = no data. */
+    COMPONENTS: {
+        consistency: { label: 'Training days', short: 'Days', score(d, t) {
+            return { value: +(d.trainingDays / (FitnessScore.WINDOW_DAYS / 7)).toFixed(1), unit: 'days/week',
+                target: `${t.sessionsPerWeek} days/week`,
+                fraction: FitnessScore._ratio(d.trainingDays / (FitnessScore.WINDOW_DAYS / 7), t.sessionsPerWeek) };
+        } },
+        cardio: { label: 'Cardio', short: 'Cardio', score(d, t) {
+            const perWeek = Math.round(d.cardioMinutes / (FitnessScore.WINDOW_DAYS / 7));
+            return { value: perWeek, unit: 'min/week', target: `${t.cardioMinutes} min/week`,
+                fraction: FitnessScore._ratio(perWeek, t.cardioMinutes) };
+        } },
+        volume: { label: 'Training volume', short: 'Vol', score(d, t) {
+            const perWeek = Math.round(d.volumeKg / (FitnessScore.WINDOW_DAYS / 7));
+            return { value: perWeek, unit: 'kg/week', target: `${t.weeklyVolumeKg} kg/week`,
+                fraction: FitnessScore._ratio(perWeek, t.weeklyVolumeKg) };
+        } },
+        strength: { label: 'Strength progress', short: 'Str', score(d, t) {
+            if (d.strengthChangePct === null) return { value: null, unit: '% est. 1RM', target: `+${t.strengthGainPct}%`, fraction: null };
+            // Holding steady is half marks; +target is full marks, −target is zero
+            return { value: d.strengthChangePct, unit: '% est. 1RM', target: `+${t.strengthGainPct}%`,
+                fraction: Math.min(1, Math.max(0, 0.5 + d.strengthChangePct / (2 * t.strengthGainPct))) };
+        } },
+        bmi: { label: 'BMI', short: 'BMI', score(d, t) {
+            return { value: d.bmi, unit: '', target: t.bmi.join('–'),
+                fraction: d.bmi === null ? null : FitnessScore._inRange(d.bmi, t.bmi, 10) };
+        } },
+        bodyFat: { label: 'Body fat', short: 'BF%', score(d, t) {
+            return { value: d.bodyFatPct, unit: '%', target: `${t.bodyFat.join('–')}%`,
+                fraction: d.bodyFatPct === null ? null : FitnessScore._inRange(d.bodyFatPct, t.bodyFat, 12) };
+        } },
+
+        // ── v1 — the original fixed formula ──
+        legacyBmi: { label: 'BMI', short: 'BMI', score(d) {
+            return { value: d.bmi, unit: '', target: '22',
+                fraction: d.bmi === null ? null : Math.max(0, 1 - Math.abs(d.bmi - 22) / 20) };
+        } },
+        legacyBodyFat: { label: 'Body fat', short: 'BF%', score(d) {
+            const ideal = d.female ? 22 : 15;
+            return { value: d.bodyFatPct, unit: '%', target: `${ideal}%`,
+                fraction: d.bodyFatPct === null ? null : Math.max(0, 1 - Math.abs(d.bodyFatPct - ideal) / 25) };
+        } },
+        legacyActivity: { label: 'Activity', short: 'Act', score(d) {
+            const bonus = Math.min(5, Math.floor(d.streak / 7));
+            return { value: d.workouts30d, unit: 'workouts/30d', target: '20 workouts/30d',
+                fraction: Math.min(1, Math.min(1, d.workouts30d / 20) + bonus / 25) };
+        } },
+        legacySessions: { label: 'Sessions', short: 'Str', score(d) {
+            return { value: d.workouts90d, unit: 'workouts/90d', target: '60 workouts/90d',
+                fraction: Math.min(1, d.workouts90d / 60) };
+        } },
+    },
+
+    /** Training-day, cardio, volume and strength inputs from workout logs. */
+    isCardio(log) {
+        const category = String(log.exercise?.category || log.category || '').toUpperCase();
+        if (this.CARDIO_CATEGORIES.includes(category)) return true;
+        if (this.STRENGTH_CATEGORIES.includes(category)) return false;
+        return this.CARDIO_PATTERN.test(log.exercise?.name || log.exerciseName || '');
+    },
+
+    summariseLogs(logs, { today = new Date(), bodyWeight = 75 } = {}) {
+        const day = 86400000;
+        const since = today.getTime() - this.WINDOW_DAYS * day;
+        const days = new Set();
+        let cardioMinutes = 0, volumeKg = 0;
+        const recentBest = {}, earlierBest = {};
+
+        (logs || []).forEach(log => {
+            const when = new Date(PersonalRecordsAPI._logDate(log) || 0).getTime();
+            if (!when) return;
+            const id = String(log.exerciseId || log.exercise?.id || log.exercise?.name || log.exerciseName || '');
+            const working = (log.setLogs || []).filter(set => !set.warmup);
+
+            if (when >= since) {
+                days.add(_localDateKey(when));
+                if (this.isCardio(log)) cardioMinutes += parseFloat(log.duration) || 0;
+                else if (working.length) {
+                    working.forEach(set => { volumeKg += (set.reps || 0) * (set.loadKg || bodyWeight * this.BODYWEIGHT_LOAD_FACTOR); });
+                } else {
+                    volumeKg += (parseInt(log.sets) || 0) * (parseInt(log.reps) || 0) * bodyWeight * this.BODYWEIGHT_LOAD_FACTOR;
+                }
+            }
+
+            // Strength: best est. 1RM in the last 30 days vs days 60–120 ago
+            const age = (today.getTime() - when) / day;
+            const bucket = age <= 30 ? recentBest : age >= 60 && age <= 120 ? earlierBest : null;
+            if (!bucket) return;
+            working.forEach(set => {
+                const e1rm = PersonalRecordsAPI.estimate1RM(set.loadKg, set.reps);
+                if (e1rm && (!bucket[id] || e1rm > bucket[id])) bucket[id] = e1rm;
+            });
+        });
+
+        const changes = Object.keys(recentBest).filter(id => earlierBest[id])
+            .map(id => (recentBest[id] - earlierBest[id]) / earlierBest[id] * 100);
+        return {
+            trainingDays: days.size,
+            cardioMinutes: Math.round(cardioMinutes),
+            volumeKg: Math.round(volumeKg),
+            strengthChangePct: changes.length ? +(changes.reduce((a, b) => a + b, 0) / changes.length).toFixed(1) : null,
+        };
+    },
+
+    /**
+     * inputs: { ageYears, gender, weightKg, bmi, bodyFatPct, logs,
+     *           workouts30d, workouts90d, streak }  (v1 uses the last three)
+     */
+    compute(inputs = {}, { version = this.VERSION, today = new Date() } = {}) {
+        const model = this.MODELS[version] || this.MODELS[this.VERSION];
+        const targets = this.targetsFor(inputs);
+        const data = {
+            bmi: inputs.bmi ?? null,
+            bodyFatPct: inputs.bodyFatPct ?? null,
+            female: String(inputs.gender || '').toUpperCase() === 'FEMALE',
+            workouts30d: inputs.workouts30d || 0,
+            workouts90d: inputs.workouts90d || 0,
+            streak: inputs.streak || 0,
+            ...this.summariseLogs(inputs.logs, { today, bodyWeight: targets.bodyWeight }),
+        };
+
+        const components = Object.entries(model.weights).map(([key, weight]) => {
+            const def = this.COMPONENTS[key];
+            return { key, label: def.label, short: def.short, weight, ...def.score(data, targets) };
+        });
+        const scored = components.filter(c => c.fraction !== null);
+        const scoredWeight = scored.reduce((sum, c) => sum + c.weight, 0);
+        const scale = model.missing === 'redistribute' && scoredWeight > 0 ? 100 / scoredWeight : 1;
+        components.forEach(c => {
+            c.max    = c.fraction === null && model.missing === 'redistribute' ? 0 : +(c.weight * scale).toFixed(1);
+            c.points = c.fraction === null ? 0 : +(c.fraction * c.weight * scale).toFixed(1);
+        });
+
+        return {
+            version: model === this.MODELS[version] ? version : this.VERSION,
+            label: model.label,
+            score: Math.round(components.reduce((sum, c) => sum + c.points, 0)),
+            components,
+            targets,
+        };
+    },
+
+    history() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.HISTORY_KEY) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch { return []; }
+    },
+
+    /** Keep today's score (latest wins) — called by UserAPI.getBiometricAnalytics. */
+    record(result, today = new Date()) {
+        const date = _localDateKey(today);
+        const entry = {
+            date, version: result.version, score: result.score,
+            components: Object.fromEntries(result.components.map(c => [c.key, { points: c.points, value: c.value, unit: c.unit }])),
+        };
+        const list = this.history().filter(e => e.date !== date);
+        list.push(entry);
+        list.sort((a, b) => a.date.localeCompare(b.date));
+        try { localStorage.setItem(this.HISTORY_KEY, JSON.stringify(list.slice(-this.HISTORY_DAYS))); } catch {}
+        return entry;
+    },
+
+    /**
+     * What moved since the newest score at least 7 days old. null until one
+     * exists. changes are sorted biggest move first; components that moved by
+     * less than half a point are left out.
+     */
+    explain({ today = new Date(), history = this.history() } = {}) {
+        const current = history[history.length - 1];
+        const cutoff = _localDateKey(_addDays(today, -7));
+        const baseline = [...history].reverse().find(e => e.date <= cutoff);
+        if (!current || !baseline) return null;
+        if (baseline.version !== current.version) {
+            return { since: baseline.date, scoreDelta: null, modelChanged: true, changes: [] };
+        }
+        const changes = Object.keys(current.components)
+            .map(key => {
+                const now = current.components[key], then = baseline.components[key] || { points: 0, value: null };
+                return {
+                    key, label: this.COMPONENTS[key]?.label || key, unit: now.unit || '',
+                    delta: +(now.points - then.points).toFixed(1), from: then.value, to: now.value,
+                };
+            })
+            .filter(c => Math.abs(c.delta) >= 0.5)
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+        return { since: baseline.date, scoreDelta: current.score - baseline.score, modelChanged: false, changes };
+    },
+};
+
+// ── TRAINING LOAD ─────────────────────────────────────────────────────────────
+// Overtraining signals from workout history, all computed client-side:
+//   • session load  = RPE × minutes (Foster's session-RPE). RPE is the mean
+//     working-set RPE when logged, else derived from average heart rate as a
+//     share of max HR, else from the logged difficulty, else DEFAULT_RPE.
+//   • ACWR          = last 7 days' load ÷ average weekly load over 28 days;
+//     0.8–1.3 is the usual "sweet spot", above 1.5 a spike.
+//   • monotony      = mean ÷ SD of the last 7 daily loads (rest days count as 0);
+//     strain = weekly load × monotony.
+//   • muscle volume = working sets per muscle group in the last 7 days; 10–20
+//     sets/week is the common hypertrophy range.
+//   • readiness     = 100 minus penalties for an ACWR spike, a heavy last 48 h,
+//     high monotony and a resting heart rate above its baseline.
+//
+//   const { data } = await TrainingLoad.get();
+const TrainingLoad = {
+    ACUTE_DAYS:   7,
+    CHRONIC_DAYS: 28,
+    DEFAULT_RPE:  5,
+    DIFFICULTY_RPE: { BEGINNER: 4, INTERMEDIATE: 6, ADVANCED: 8 },
+    ACWR_ZONES: [
+        { max: 0.8,      zone: 'low',     label: 'Under-training' },
+        { max: 1.3,      zone: 'optimal', label: 'Sweet spot' },
+        { max: 1.5,      zone: 'caution', label: 'Building fast' },
+        { max: Infinity, zone: 'high',    label: 'Spike — injury risk' },
+    ],
+    SETS_RANGE: [10, 20],
+
+    // First match wins; category is the fallback when no name pattern matches
+    MUSCLE_PATTERNS: [
+        [/\b(deadlifts?|rdls?|good ?mornings?)\b/i,             ['hamstrings', 'glutes', 'back']],
+        [/\b(hip thrusts?|glutes?|bridges?)\b/i,                ['glutes', 'hamstrings']],
+        [/\b(squats?|lunges?|leg press|step-?ups?|wall sits?)\b/i, ['quads', 'glutes']],
+        [/\b(leg curls?|hamstrings?)\b/i,                       ['hamstrings']],
+        [/\bcalf|\bcalves\b/i,                                  ['calves']],
+        [/\b(bench|push-?ups?|chest|fly|flyes?)\b/i,            ['chest', 'triceps']],
+        [/\b(overhead|shoulders?|military|pike|lateral raises?|arnold|upright rows?)\b/i, ['shoulders', 'triceps']],
+        [/\b(dips?|triceps?|skull ?crushers?|pushdowns?)\b/i,   ['triceps']],
+        [/\b(pull-?ups?|chin-?ups?|pulldowns?|rows?|lats?)\b/i, ['back', 'biceps']],
+        [/\bcurls?\b/i,                                         ['biceps']],
+        [/\b(planks?|crunch(es)?|sit-?ups?|core|abs|twists?|leg raises?|dead bugs?|v-?ups?|mountain climbers?|hollow)\b/i, ['core']],
+        [/\b(burpees?|thrusters?|cleans?|snatch(es)?)\b/i,      ['full body']],
+    ],
+    CATEGORY_MUSCLES: { STRENGTH: ['full body'], CORE: ['core'] },
+
+    /** Muscle groups one exercise trains — [] for cardio / mobility work. */
+    musclesFor(log) {
+        const name = log.exercise?.name || log.exerciseName || '';
+        const hit = this.MUSCLE_PATTERNS.find(([re]) => re.test(name));
+        if (hit) return hit[1];
+        return this.CATEGORY_MUSCLES[String(log.exercise?.category || log.category || '').toUpperCase()] || [];
+    },
+
+    /** Session RPE (1–10) and where it came from: 'sets' | 'heartRate' | 'difficulty' | 'default'. */
+    sessionRPE(log, { maxHR = null } = {}) {
+        const rated = (log.setLogs || []).filter(s => !s.warmup && s.rpe);
+        if (rated.length) return { rpe: rated.reduce((sum, s) => sum + s.rpe, 0) / rated.length, source: 'sets' };
+        const hr = parseFloat(log.heartRate);
+        if (hr > 0 && maxHR) {
+            // 50 % of max ≈ RPE 1, 100 % ≈ RPE 10
+            return { rpe: Math.min(10, Math.max(1, 1 + (hr / maxHR - 0.5) * 18)), source: 'heartRate' };
+        }
+        const byDifficulty = this.DIFFICULTY_RPE[String(log.difficulty || '').toUpperCase()];
+        if (byDifficulty) return { rpe: byDifficulty, source: 'difficulty' };
+        return { rpe: this.DEFAULT_RPE, source: 'default' };
+    },
+
+    _minutes(log) {
+        const m = parseFloat(log.duration);
+        if (m > 0) return m;
+        // No duration logged: ~2 minutes per set including rest
+        const sets = (log.setLogs || []).filter(s => !s.warmup).length || parseInt(log.sets) || 0;
+        return sets * 2;
+    },
+
+    _zone(acwr) { return acwr === null ? null : this.ACWR_ZONES.find(z => acwr < z.max); },
+
+    /**
+     * logs: workout history (any order). opts.ageYears / opts.maxHR set the
+     * heart-rate → RPE scale; opts.restingHR = { latest, baseline } feeds readiness.
+     */
+    compute(logs, { today = new Date(), ageYears = null, maxHR = null, restingHR = null } = {}) {
+        const hrMax = maxHR || (Number.isFinite(ageYears) ? Math.round(208 - 0.7 * ageYears) : null);
+        const todayKey = _localDateKey(today);
+        const start = _addDays(_dateFromKey(todayKey), -(this.CHRONIC_DAYS - 1));
+        const dayKeys = Array.from({ length: this.CHRONIC_DAYS }, (_, i) => _localDateKey(_addDays(start, i)));
+        const loadByDay = Object.fromEntries(dayKeys.map(k => [k, 0]));
+        const acuteFrom = dayKeys[this.CHRONIC_DAYS - this.ACUTE_DAYS];
+        const sets = {};
+        const sources = {};
+
+        (logs || []).forEach(log => {
+            const when = PersonalRecordsAPI._logDate(log);
+            if (!when) return;
+            const key = _localDateKey(when);
+            if (!(key in loadByDay)) return;
+            const { rpe, source } = this.sessionRPE(log, { maxHR: hrMax });
+            loadByDay[key] += rpe * this._minutes(log);
+            sources[source] = (sources[source] || 0) + 1;
+            if (key >= acuteFrom) {
+                const count = (log.setLogs || []).filter(s => !s.warmup).length || parseInt(log.sets) || 0;
+                this.musclesFor(log).forEach(m => { sets[m] = (sets[m] || 0) + count; });
+            }
+        });
+
+        const daily = dayKeys.map(date => ({ date, load: Math.round(loadByDay[date]) }));
+        const week = daily.slice(-this.ACUTE_DAYS).map(d => d.load);
+        const acute = week.reduce((a, b) => a + b, 0);
+        const chronic = Math.round(daily.reduce((sum, d) => sum + d.load, 0) / (this.CHRONIC_DAYS / 7));
+        const acwr = chronic > 0 ? +(acute / chronic).toFixed(2) : null;
+
+        const mean = acute / this.ACUTE_DAYS;
+        const sd = Math.sqrt(week.reduce((sum, l) => sum + (l - mean) ** 2, 0) / this.ACUTE_DAYS);
+        // Identical loads every day (sd 0) is maximal monotony; cap it rather than divide by zero
+        const monotony = acute === 0 ? null : +(sd > 0 ? Math.min(mean / sd, 10) : 10).toFixed(2);
+        const strain = monotony === null ? null : Math.round(acute * monotony);
+
+        const [lo, hi] = this.SETS_RANGE;
+        const muscles = Object.entries(sets)
+            .map(([muscle, n]) => ({ muscle, sets: n, status: n < lo ? 'low' : n > hi ? 'high' : 'optimal' }))
+            .sort((a, b) => b.sets - a.sets);
+
+        return {
+            daily, acute, chronic, acwr, acwrZone: this._zone(acwr),
+            monotony, strain, muscles, rpeSources: sources, maxHR: hrMax,
+            readiness: this.readiness({ acwr, daily, chronic, monotony, restingHR }),
+        };
+    },
+
+    /** 0–100 with the reasons behind every point taken off. */
+    readiness({ acwr, daily, chronic, monotony, restingHR }) {
+        let score = 100;
+        const factors = [];
+        const penalise = (points, reason) => {
+            const p = Math.round(points);
+            if (p <= 0) return;
+            score -= p;
+            factors.push({ points: -p, reason });
+        };
+
+        if (acwr !== null && acwr > 1.3) {
+            penalise(Math.min(40, (acwr - 1.3) * 100), `Load this week is ${acwr}× your 4-week average`);
+        }
+        const last48 = daily.slice(-2).reduce((sum, d) => sum + d.load, 0);
+        const usual48 = chronic / 7 * 2;
+        if (usual48 > 0 && last48 > usual48 * 1.5) {
+            penalise(Math.min(25, (last48 / usual48 - 1.5) * 20), 'The last two days were heavier than usual');
+        }
+        if (monotony !== null && monotony > 2) penalise(10, 'Training has been very uniform day to day');
+        const rhrDelta = restingHR?.latest && restingHR?.baseline ? restingHR.latest - restingHR.baseline : 0;
+        if (rhrDelta >= 3) penalise(Math.min(20, rhrDelta * 3), `Resting heart rate is ${Math.round(rhrDelta)} bpm above your baseline`);
+
+        score = Math.max(0, score);
+        const label = score >= 75 ? 'Ready to train hard' : score >= 50 ? 'Train moderately' : 'Prioritise recovery';
+        return { score, label, factors };
+    },
+
+    async get() {
+        try {
+            const [historyRes, profileRes, metricsRes] = await Promise.all([
+                ProgressAPI.getWorkoutHistory(PersonalRecordsAPI.HISTORY_LIMIT),
+                apiRequest('/users/me').catch(() => null),
+                UserAPI.getMetricsHistory(30).catch(() => null),
+            ]);
+            const profile = profileRes?.data?.profile || profileRes?.data || null;
+            const dob = profile?.dateOfBirth ? new Date(profile.dateOfBirth) : null;
+            const ageYears = dob ? Math.floor((Date.now() - dob.getTime()) / (365.25 * 24 * 3600 * 1000)) : null;
+            const rhr = (metricsRes?.data || []).filter(m => m.restingHeartRate).map(m => m.restingHeartRate);
+            const restingHR = rhr.length >= 3
+                ? { latest: rhr[0], baseline: rhr.slice(1).reduce((a, b) => a + b, 0) / (rhr.length - 1) }
+                : null;
+            const maxHR = HeartRateZones.settings().maxHR || parseFloat(profile?.maxHeartRate) || null;
+            return { success: true, data: this.compute(_historyList(historyRes), { ageYears, maxHR, restingHR }) };
+        } catch (err) {
+            console.error('[TrainingLoad.get]', err);
+            return { success: false, error: err?.message || 'Failed to compute training load' };
+        }
+    },
+};
+
+// ── CALORIE MODEL ─────────────────────────────────────────────────────────────
+// Energy cost of a session from the member's own biometrics instead of a flat
+// per-exercise caloriesPerMin:
+//   • MET × body weight — kcal/min = MET × 3.5 × kg ÷ 200, MET values from the
+//     Compendium of Physical Activities (exercise.met overrides the table).
+//   • Keytel et al. (2005) when an exercise heart rate is known, which tracks
+//     the actual effort better than any activity average:
+//       men   kcal/min = (−55.0969 + 0.6309·HR + 0.1988·kg + 0.2017·age) ÷ 4.184
+//       women kcal/min = (−20.4022 + 0.4472·HR − 0.1263·kg + 0.0740·age) ÷ 4.184
+//     (the mean of both when gender is unknown). Below KEYTEL_MIN_HR the formula
+//     is not valid and MET is used.
+// Without a body weight the flat caloriesPerMin is all there is.
+//
+//   const ctx = await CalorieModel.context();
+//   CalorieModel.estimate({ exercise, minutes: 30, heartRate: 148, context: ctx })
+//     → { kcal, kcalPerMin, method: 'keytel' | 'met' | 'flat', met }
+const CalorieModel = {
+    KEYTEL_MIN_HR: 90,
+    KEYTEL_MAX_HR: 220,
+    DEFAULT_MET: 4.0,
+
+    // Whole-word name patterns, each tagged with the kind of exercise it
+    // describes. A categorised exercise only takes a pattern of its own kind
+    // (a STRENGTH "Row" is not a rowing machine) and otherwise its category's
+    // MET; uncategorised ones take the first match of any kind.
+    MET_PATTERNS: [
+        [/\bsprints?\b/i,                                                   10.0, 'cardio'],
+        [/\b(jump(ing)? rope|skipping)\b/i,                                 11.8, 'cardio'],
+        [/\b(run|running|jog|jogging)\b/i,                                   9.8, 'cardio'],
+        [/\b(burpees?|jump squats?|box jumps?|plyo\w*)\b/i,                  8.0, 'any'],
+        [/\b(jumping jacks?|high knees?|butt kicks?|mountain climbers?)\b/i, 8.0, 'any'],
+        [/\b(cycl(e|ing)|bike|biking|spin(ning)?)\b/i,                       7.5, 'cardio'],
+        [/\b((rowing|row) machine|rower|erg)\b/i,                            7.0, 'cardio'],
+        [/\bswim(ming)?\b/i,                                                 7.0, 'cardio'],
+        [/\bwalk(ing)?\b/i,                                                  3.5, 'cardio'],
+        [/\b(push-?ups?|pull-?ups?|chin-?ups?|dips?)\b/i,                    3.8, 'strength'],
+        [/\b(squats?|lunges?|deadlifts?|bench|press|rows?|cleans?|thrusters?)\b/i, 5.0, 'strength'],
+        [/\b(planks?|crunch(es)?|sit-?ups?|twists?|leg raises?|bridges?|holds?)\b/i, 3.8, 'strength'],
+        [/\b(yoga|dog|child'?s pose|cobra|pose)\b/i,                         2.5, 'mobility'],
+        [/\b(stretch(es|ing)?|mobility|foam roll\w*)\b/i,                    2.3, 'mobility'],
+    ],
+    CATEGORY_MET:  { STRENGTH: 5.0, CORE: 3.8, CARDIO: 7.0, HIIT: 8.0, FLEXIBILITY: 2.3, MOBILITY: 2.3 },
+    CATEGORY_KIND: { STRENGTH: 'strength', CORE: 'strength', CARDIO: 'cardio', HIIT: 'cardio', FLEXIBILITY: 'mobility', MOBILITY: 'mobility' },
+
+    metFor(exercise) {
+        const explicit = parseFloat(exercise?.met ?? exercise?.exercise?.met);
+        if (explicit > 0) return explicit;
+        const name = exercise?.name || exercise?.exercise?.name || '';
+        const category = String(exercise?.category || exercise?.exercise?.category || '').toUpperCase();
+        const kind = this.CATEGORY_KIND[category];
+        const hit = this.MET_PATTERNS.find(([re, , k]) => (!kind || k === 'any' || k === kind) && re.test(name));
+        if (hit) return hit[1];
+        return this.CATEGORY_MET[category] || this.DEFAULT_MET;
+    },
+
+    keytel(heartRate, { weightKg, ageYears, gender }) {
+        const male   = (-55.0969 + 0.6309 * heartRate + 0.1988 * weightKg + 0.2017 * ageYears) / 4.184;
+        const female = (-20.4022 + 0.4472 * heartRate - 0.1263 * weightKg + 0.0740 * ageYears) / 4.184;
+        const g = String(gender || '').toUpperCase();
+        return g === 'MALE' ? male : g === 'FEMALE' ? female : (male + female) / 2;
+    },
+
+    /** kcal for `minutes` of `exercise`; context from CalorieModel.context(). */
+    estimate({ exercise, minutes = 0, heartRate = null, context = null } = {}) {
+        const m = Math.max(0, parseFloat(minutes) || 0);
+        const hr = parseFloat(heartRate);
+        const ctx = context || {};
+        if (ctx.weightKg && Number.isFinite(ctx.ageYears) && hr >= this.KEYTEL_MIN_HR && hr <= this.KEYTEL_MAX_HR) {
+            const perMin = this.keytel(hr, ctx);
+            if (perMin > 0) return { kcal: Math.round(perMin * m), kcalPerMin: +perMin.toFixed(1), method: 'keytel', met: null };
+        }
+        if (ctx.weightKg) {
+            const met = this.metFor(exercise);
+            const perMin = met * 3.5 * ctx.weightKg / 200;
+            return { kcal: Math.round(perMin * m), kcalPerMin: +perMin.toFixed(1), method: 'met', met };
+        }
+        const flat = parseFloat(exercise?.caloriesPerMin ?? exercise?.cal ?? exercise?.exercise?.caloriesPerMin) || 0;
+        return { kcal: Math.round(flat * m), kcalPerMin: flat, method: 'flat', met: null };
+    },
+
+    /** kcal/min for `exercise` without heart-rate data — what a per-minute label shows. */
+    kcalPerMin(exercise, context = null) {
+        return this.estimate({ exercise, minutes: 1, context }).kcalPerMin;
+    },
+
+    /**
+     * The member's biometrics: weight (latest weigh-in, else profile), age,
+     * gender and heart-rate settings. Missing values stay null.
+     */
+    async context() {
+        const [profileRes, metricsRes] = await Promise.all([
+            apiRequest('/users/me').catch(() => null),
+            UserAPI.getMetricsHistory(30).catch(() => null),
+        ]);
+        const profile = profileRes?.data?.profile || profileRes?.data || {};
+        const metrics = metricsRes?.data || [];
+        const dob = profile.dateOfBirth ? new Date(profile.dateOfBirth) : null;
+        const settings = HeartRateZones.settings();
+        return {
+            weightKg:  metrics.find(m => m.weight)?.weight || parseFloat(profile.weight) || null,
+            ageYears:  dob && !isNaN(dob) ? Math.floor((Date.now() - dob.getTime()) / (365.25 * 24 * 3600 * 1000)) : null,
+            gender:    String(profile.gender || '').toUpperCase() || null,
+            maxHR:     settings.maxHR || parseFloat(profile.maxHeartRate) || null,
+            restingHR: settings.restingHR || parseFloat(profile.restingHeartRate)
+                       || metrics.find(m => m.restingHeartRate)?.restingHeartRate || null,
+        };
+    },
+};
+
+// ── HEART-RATE ZONES ──────────────────────────────────────────────────────────
+// Five zones from the member's own numbers. Max HR is the measured value when
+// one is saved, else Tanaka's 208 − 0.7 × age. With a resting HR the zones use
+// Karvonen's heart-rate reserve (rest + % × (max − rest)); without one, plain
+// % of max. Measured values live in localStorage (ff_hr_settings).
+//
+// Time in zone uses a log's hrSeries ([{ t: seconds from start, bpm }], as
+// recorded from a strap) when present; otherwise the whole duration is counted
+// in the zone of the logged average heart rate and flagged estimated.
+const HeartRateZones = {
+    SETTINGS_KEY: 'ff_hr_settings',
+    MAX_SAMPLE_GAP_SEC: 10,   // a longer gap in a series is a dropout, not a reading
+    ZONES: [
+        { zone: 1, name: 'Recovery',  lo: 0.5, hi: 0.6 },
+        { zone: 2, name: 'Endurance', lo: 0.6, hi: 0.7 },
+        { zone: 3, name: 'Tempo',     lo: 0.7, hi: 0.8 },
+        { zone: 4, name: 'Threshold', lo: 0.8, hi: 0.9 },
+        { zone: 5, name: 'Maximum',   lo: 0.9, hi: 1.0 },
+    ],
+
+    settings() {
+        try {
+            const s = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || '{}');
+            return { maxHR: parseInt(s.maxHR) || null, restingHR: parseInt(s.restingHR) || null };
+        } catch { return { maxHR: null, restingHR: null }; }
+    },
+
+    /** Save measured max / resting HR; blank clears a value. Throws ValidationError. */
+    saveSettings({ maxHR, restingHR } = {}) {
+        const max  = maxHR     ? parseInt(maxHR)     : null;
+        const rest = restingHR ? parseInt(restingHR) : null;
+        if (max !== null && !(max >= 120 && max <= 230)) throw new ValidationError('Max heart rate should be between 120 and 230 bpm.');
+        if (rest !== null && !(rest >= 30 && rest <= 110)) throw new ValidationError('Resting heart rate should be between 30 and 110 bpm.');
+        if (max !== null && rest !== null && rest >= max) throw new ValidationError('Resting heart rate must be below max.');
+        try { localStorage.setItem(this.SETTINGS_KEY, JSON.stringify({ maxHR: max, restingHR: rest })); } catch {}
+        return { maxHR: max, restingHR: rest };
+    },
+
+    /**
+     * Zone table for a CalorieModel.context(), or null without age or max HR.
+     * → { maxHR, restingHR, maxSource: 'measured'|'age', method: 'karvonen'|'percent-max', zones }
+     */
+    forContext(ctx = {}) {
+        const measured = ctx.maxHR || null;
+        const maxHR = measured || (Number.isFinite(ctx.ageYears) ? Math.round(208 - 0.7 * ctx.ageYears) : null);
+        if (!maxHR) return null;
+        const rest = ctx.restingHR && ctx.restingHR < maxHR ? ctx.restingHR : null;
+        const bpm = pct => Math.round(rest ? rest + pct * (maxHR - rest) : pct * maxHR);
+        return {
+            maxHR, restingHR: rest,
+            maxSource: measured ? 'measured' : 'age',
+            method: rest ? 'karvonen' : 'percent-max',
+            zones: this.ZONES.map(z => ({ ...z, min: bpm(z.lo), max: bpm(z.hi) })),
+        };
+    },
+
+    /** 1–5, or 0 below zone 1. */
+    zoneOf(bpm, table) {
+        if (!table || !(bpm > 0)) return 0;
+        for (let i = table.zones.length - 1; i >= 0; i--) if (bpm >= table.zones[i].min) return table.zones[i].zone;
+        return 0;
+    },
 
-            // ── BMI ───────────────────────────────────────────────────
-            let bmi = null;
-            if (weightKg && heightCm && heightCm > 0) {
-                const heightM = heightCm / 100;
-                bmi = +(weightKg / (heightM * heightM)).toFixed(1);
-            }
+    /** Seconds per zone (index 0 = below zone 1) for one workout log. */
+    timeInZones(log, table) {
+        const seconds = [0, 0, 0, 0, 0, 0];
+        if (!table) return null;
+        const series = Array.isArray(log?.hrSeries) ? log.hrSeries.filter(p => p && p.bpm > 0) : [];
+        if (series.length >= 2) {
+            series.forEach((p, i) => {
+                const next = series[i + 1];
+                const dt = next ? Math.min(this.MAX_SAMPLE_GAP_SEC, Math.max(0, next.t - p.t)) : 1;
+                seconds[this.zoneOf(p.bpm, table)] += dt;
+            });
+            return { seconds, total: seconds.reduce((a, b) => a + b, 0), estimated: false };
+        }
+        const avg = parseFloat(log?.heartRate);
+        const minutes = parseFloat(log?.duration);
+        if (!(avg > 0) || !(minutes > 0)) return null;
+        seconds[this.zoneOf(avg, table)] = Math.round(minutes * 60);
+        return { seconds, total: seconds.reduce((a, b) => a + b, 0), estimated: true };
+    },
+};
 
-            // ── BMI Category ─────────────────────────────────────────
-            let bmiCategory = null;
-            if (bmi !== null) {
-                if      (bmi < 18.5) bmiCategory = 'Underweight';
-                else if (bmi < 25.0) bmiCategory = 'Normal';
-                else if (bmi < 30.0) bmiCategory = 'Overweight';
-                else                 bmiCategory = 'Obese';
-            }
+// ── NUTRITION ─────────────────────────────────────────────────────────────────
+// Food diary for plans with hasNutritionTracking. The backend owns meals,
+// the food database and saved macro targets; when a member has never saved
+// targets they are derived here from the same profile inputs
+// UserAPI.getBiometricAnalytics() computes (weight, height, age, gender).
+const MEAL_TYPES = ['BREAKFAST', 'LUNCH', 'DINNER', 'SNACK'];
 
-            // ── Body Fat % (Deurenberg formula) ──────────────────────
-            let bodyFatPct = null;
-            if (bmi !== null && ageYears !== null) {
-                const genderConst = gender === 'FEMALE' ? -5.4 : -16.2;
-                bodyFatPct = +(1.20 * bmi + 0.23 * ageYears + genderConst).toFixed(1);
-                bodyFatPct = Math.max(3, bodyFatPct); // physiological floor
-            }
+const NutritionAPI = {
+    // GET /nutrition/diary?date=YYYY-MM-DD → { meals: Meal[], totals }
+    getDiary: async (date = _localDateKey()) => {
+        const res = await apiRequest(`/nutrition/diary${toQueryString({ date })}`);
+        const d = res?.data || res || {};
+        const meals = Array.isArray(d.meals) ? d.meals : Array.isArray(d) ? d : [];
+        return { success: true, data: { date, meals, totals: d.totals || NutritionAPI.sumMeals(meals) } };
+    },
 
-            // ── Weight Change Trend (last 2 metrics snapshots) ───────
-            const metricsHistory = Array.isArray(metricsRes?.data) ? metricsRes.data : [];
-            let weightTrend = null; // kg, positive = gained, negative = lost
-            let weightTrendPct = null;
-            if (metricsHistory.length >= 2) {
-                const latest = parseFloat(metricsHistory[0]?.weight);
-                const prev   = parseFloat(metricsHistory[metricsHistory.length - 1]?.weight);
-                if (!isNaN(latest) && !isNaN(prev) && prev > 0) {
-                    weightTrend    = +(latest - prev).toFixed(1);
-                    weightTrendPct = +(((latest - prev) / prev) * 100).toFixed(1);
-                }
-            } else if (metricsHistory.length === 1 && weightKg) {
-                // Only one snapshot — compare to profile weight
-                const snap = parseFloat(metricsHistory[0]?.weight);
-                if (!isNaN(snap) && weightKg > 0) {
-                    weightTrend    = +(snap - weightKg).toFixed(1);
-                    weightTrendPct = +(((snap - weightKg) / weightKg) * 100).toFixed(1);
-                }
-            }
+    // meal: { date, mealType, name, foodId?, servings, calories, protein, carbs, fat } — totals for all servings
+    logMeal:    async (meal)       => await apiRequest('/nutrition/meals', { method: 'POST', body: JSON.stringify(meal) }),
+    updateMeal: async (id, meal)   => await apiRequest(`/nutrition/meals/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(meal) }),
+    deleteMeal: async (id)         => await apiRequest(`/nutrition/meals/${encodeURIComponent(id)}`, { method: 'DELETE' }),
 
-            // ── Activity inputs for fitness score ─────────────────────
-            const stats30 = stats30Res?.data?.stats || stats30Res?.data || {};
-            const stats90 = stats90Res?.data?.stats || stats90Res?.data || {};
-            const workouts30d = stats30.totalWorkouts || 0;
-            const workouts90d = stats90.totalWorkouts || 0;
-            const streak      = streakRes?.data?.currentStreak || 0;
+    // Food database — per-serving calories and macros (grams)
+    searchFoods: async (query, { signal } = {}) =>
+        await apiRequest(`/nutrition/foods${toQueryString({ search: query, limit: 20 })}`, { signal }),
+    getFood:     async (id) => await apiRequest(`/nutrition/foods/${encodeURIComponent(id)}`),
 
-            // ── Fitness Score sub-components (each 0–25, total 0–100) ─
-            const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    // GET /nutrition/totals?from&to → [{ date, calories, protein, carbs, fat }]
+    getDailyTotals: async (from, to) => await apiRequest(`/nutrition/totals${toQueryString({ from, to })}`),
 
-            // BMI score: peaks at 22 (ideal), ±20 span to zero
-            const bmiScore = bmi !== null
-                ? +(25 * clamp(1 - Math.abs(bmi - 22) / 20, 0, 1)).toFixed(1)
-                : 0;
+    getTargets: async ()        => await apiRequest('/nutrition/targets'),
+    setTargets: async (targets) => await apiRequest('/nutrition/targets', { method: 'PUT', body: JSON.stringify(targets) }),
 
-            // Body fat score: gender-specific ideal ranges
-            const idealBf = gender === 'FEMALE' ? 22 : 15; // midpoint of fit range
-            const bfScore = bodyFatPct !== null
-                ? +(25 * clamp(1 - Math.abs(bodyFatPct - idealBf) / 25, 0, 1)).toFixed(1)
-                : 0;
+    // Meal rows carry totals for the logged servings, so a day is a plain sum
+    sumMeals(meals) {
+        return (meals || []).reduce((t, m) => {
+            t.calories += Number(m.calories) || 0;
+            t.protein  += Number(m.protein)  || 0;
+            t.carbs    += Number(m.carbs)    || 0;
+            t.fat      += Number(m.fat)      || 0;
+            return t;
+        }, { calories: 0, protein: 0, carbs: 0, fat: 0 });
+    },
 
-            // Activity consistency: 20 workouts/month = perfect
-            // Streak bonus: each 7-day streak adds 1 extra point (capped at 5)
-            const streakBonus   = clamp(Math.floor(streak / 7), 0, 5);
-            const activityScore = +(clamp(25 * clamp(workouts30d / 20, 0, 1) + streakBonus, 0, 25)).toFixed(1);
+    /**
+     * Daily calorie and macro goals from biometric inputs.
+     *   BMR     = Mifflin-St Jeor: 10×kg + 6.25×cm − 5×age + (M: +5, F: −161)
+     *   TDEE    = BMR × activity factor (from workouts in the last 30 days)
+     *   Goal    = TDEE − 500 (lose) / + 300 (build) / ± 0, parsed from profile.fitnessGoal
+     *   Protein = 1.8 g/kg · Fat = 25 % of kcal · Carbs = remainder
+     * Returns null when weight, height or age is missing.
+     */
+    computeTargets({ weightKg, heightCm, ageYears, gender, workouts30d = 0 } = {}, fitnessGoal = '') {
+        if (!weightKg || !heightCm || ageYears == null) return null;
+        const bmr = 10 * weightKg + 6.25 * heightCm - 5 * ageYears + (String(gender).toUpperCase() === 'FEMALE' ? -161 : 5);
+        const perWeek = workouts30d / 4.3;
+        const activity = perWeek >= 6 ? 1.725 : perWeek >= 4 ? 1.55 : perWeek >= 2 ? 1.375 : 1.2;
+        const goal = String(fitnessGoal || '').toLowerCase();
+        const adjust = /lose|cut|lean|fat|slim/.test(goal) ? -500 : /build|gain|muscle|bulk|mass/.test(goal) ? 300 : 0;
+        const calories = Math.max(1200, Math.round(bmr * activity + adjust));
+        const protein = Math.round(1.8 * weightKg);
+        const fat = Math.round((calories * 0.25) / 9);
+        const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+        return { calories, protein, carbs, fat, bmr: Math.round(bmr), activityFactor: activity, source: 'computed' };
+    },
 
-            // Strength progress: 60 workouts/90 days = sustained training
-            const strengthScore = +(25 * clamp(workouts90d / 60, 0, 1)).toFixed(1);
+    /**
+     * Saved targets if the member set any, otherwise computed from
+     * getBiometricAnalytics(). Resolves to null when neither is available.
+     */
+    resolveTargets: async () => {
+        try {
+            const res = await NutritionAPI.getTargets();
+            const t = res?.data?.targets || res?.data || null;
+            if (t && Number(t.calories) > 0) return { ...t, source: 'saved' };
+        } catch {}
+        const bio = await UserAPI.getBiometricAnalytics();
+        if (!bio?.success) return null;
+        return NutritionAPI.computeTargets(bio.data.inputs, bio.data.profile?.fitnessGoal);
+    },
 
-            const fitnessScore = +(bmiScore + bfScore + activityScore + strengthScore).toFixed(0);
+    /**
+     * Calories burned on a local date — logged workouts plus any still
+     * waiting in the offline outbox — so net intake reflects today's training.
+     */
+    getCaloriesBurned: async (date = _localDateKey()) => {
+        let burned = 0;
+        try {
+            // Ask for that local day only, so a past date is not lost behind newer logs;
+            // the date filter below still guards a server that ignores from/to.
+            const dayStart = _dateFromKey(date);
+            const res = await ProgressAPI.getWorkoutHistory(50, {
+                from: dayStart.toISOString(),
+                to:   _addDays(dayStart, 1).toISOString(),
+            });
+            burned += _historyList(res)
+                .filter(l => _localDateKey(l.completedAt || l.createdAt || l.date) === date)
+                .reduce((sum, l) => sum + (Number(l.caloriesBurned) || 0), 0);
+        } catch {}
+        try {
+            const pending = await OfflineQueue.all();
+            burned += pending
+                .filter(e => e.endpoint === '/progress' && _localDateKey(e.createdAt) === date)
+                .reduce((sum, e) => { try { return sum + (Number(JSON.parse(e.body).caloriesBurned) || 0); } catch { return sum; } }, 0);
+        } catch {}
+        return Math.round(burned);
+    },
 
-            return {
-                success: true,
-                data: {
-                    bmi, bmiCategory, bodyFatPct,
-                    weightTrend, weightTrendPct,
-                    fitnessScore,
-                    breakdown: { bmiScore, bfScore, activityScore, strengthScore },
-                    inputs: { weightKg, heightCm, ageYears, gender, workouts30d, workouts90d, streak },
-                    metricsHistory,
-                    profile,
-                },
-            };
-        } catch (err) {
-            console.error('[UserAPI.getBiometricAnalytics]', err);
-            return { success: false, error: err?.message || 'Failed to compute analytics' };
-        }
+    /** Everything the food diary needs for one day, fetched in parallel. */
+    getDaySummary: async (date = _localDateKey()) => {
+        const [diary, targets, burned] = await Promise.all([
+            NutritionAPI.getDiary(date),
+            NutritionAPI.resolveTargets().catch(() => null),
+            NutritionAPI.getCaloriesBurned(date),
+        ]);
+        const totals = diary.data.totals;
+        return {
+            success: true,
+            data: {
+                date, meals: diary.data.meals, totals, targets, burned,
+                net: Math.round(totals.calories - burned),
+                remaining: targets ? Math.round(targets.calories - (totals.calories - burned)) : null,
+            },
+        };
     },
 };
 
+// 'YYYY-MM-DD' in the member's local timezone — a diary day is the local day
+function _localDateKey(value = Date.now()) {
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return null;
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD → local midnight (new Date('YYYY-MM-DD') would be UTC midnight)
+function _dateFromKey(key) {
+    const [y, m, d] = String(key).split('-').map(Number);
+    return new Date(y, (m || 1) - 1, d || 1);
+}
+
+function _addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
 // ── SUBSCRIPTIONS ─────────────────────────────────────────────────────────────
 const SubscriptionAPI = {
 
@@ -704,14 +4242,20 @@ const SubscriptionAPI = {
     // Normalise to { success, data: CurrentSubscription | null, plan?: PublicPlan }
     getCurrentSubscription: async () => {
         const res = await apiRequest('/subscriptions/current');
-        if (res && 'subscription' in res) {
+        // The backend has answered { subscription, plan }, { success, data: { subscription, plan } }
+        // and a bare subscription object — all normalise to { success, data: sub, plan }
+        const body = res && 'subscription' in res ? res
+            : res?.data && typeof res.data === 'object' && 'subscription' in res.data ? res.data
+            : null;
+        if (body) {
             return {
                 success: true,
-                data: res.subscription,
-                plan: res.plan || res.subscription?.plan || null,
+                data: body.subscription,
+                plan: body.plan || body.subscription?.plan || null,
             };
         }
         if (res && res.success !== undefined) return res;
+        if (res?.status) return { success: true, data: res, plan: res.plan || null };
         return { success: false, data: null, plan: null };
     },
 
@@ -750,7 +4294,10 @@ const SubscriptionAPI = {
     // Verifies the transaction server-side and activates the subscription.
     // Returns { success, status, subscription? }
     verifyPayment: async (reference) => {
-        const res = await apiRequest(`/subscriptions/paystack/verify/${encodeURIComponent(reference)}`);
+        // GET with a side effect (activates the subscription) — drop the cached plan
+        const res = await apiRequest(`/subscriptions/paystack/verify/${encodeURIComponent(reference)}`, {
+            invalidates: ['subscription'],
+        });
         if (res && res.success !== undefined) return res;
         return { success: false, message: 'Verification failed' };
     },
@@ -800,7 +4347,9 @@ const SubscriptionAPI = {
     }),
 
     // Poll M-Pesa payment status
-    checkMpesaStatus: async (checkoutRequestId) => await apiRequest(`/subscriptions/mpesa/status/${checkoutRequestId}`),
+    checkMpesaStatus: async (checkoutRequestId) => await apiRequest(`/subscriptions/mpesa/status/${checkoutRequestId}`, {
+        invalidates: ['subscription'],
+    }),
 };
 
 // ── LIVE PLAN UTILITIES ───────────────────────────────────────────────────────
@@ -816,21 +4365,12 @@ const PLAN_HIERARCHY = { free: 0, pro: 1, elite: 2 };
 
 /**
  * Fetch the user's current active plan from the API.
- * Caches result in sessionStorage for 5 minutes to avoid hammering the server.
+ * /subscriptions/current is cached by apiRequest (5 min, tag 'subscription'),
+ * so repeated calls across widgets and pages cost one request.
  * Returns a plan object (always has slug, maxWorkoutsPerMonth, etc.)
  * Also returns the full subscription for status checks.
  */
 async function fetchActivePlan() {
-    const CACHE_KEY = 'ff_plan_cache_v3';
-    const CACHE_TTL = 5 * 60 * 1000; // 5 min
-    try {
-        const cached = sessionStorage.getItem(CACHE_KEY);
-        if (cached) {
-            const { ts, plan, sub } = JSON.parse(cached);
-            if (Date.now() - ts < CACHE_TTL) return { plan, sub };
-        }
-    } catch {}
-
     try {
         const res = await SubscriptionAPI.getCurrentSubscription();
         const sub = res?.data || null;
@@ -838,9 +4378,6 @@ async function fetchActivePlan() {
         const isActive = sub && activeStatuses.includes(sub.status);
         const freePlan = res?.plan || null;
         const plan = isActive && sub.plan ? sub.plan : (freePlan || FREE_PLAN_DEFAULTS);
-        try {
-            sessionStorage.setItem(CACHE_KEY, JSON.stringify({ ts: Date.now(), plan, sub }));
-        } catch {}
         return { plan, sub };
     } catch {
         return { plan: FREE_PLAN_DEFAULTS, sub: null };
@@ -849,7 +4386,9 @@ async function fetchActivePlan() {
 
 /** Invalidate plan cache — call after any subscription change */
 function invalidatePlanCache() {
-    try { sessionStorage.removeItem('ff_plan_cache_v3'); } catch {}
+    ResponseCache.invalidate('subscription');
+    Entitlements.reset();
+    TabSync.post({ type: 'invalidate', tags: ['subscription'] });
 }
 
 /**
@@ -910,24 +4449,275 @@ async function updatePlanBadge() {
     } catch {}
 }
 
+// ── ENTITLEMENTS ──────────────────────────────────────────────────────────────
+// One place that answers "may this member do X?", driven by the live plan from
+// fetchActivePlan(). Feature flags and limits are read straight off the plan
+// object (hasAdvancedAnalytics, maxWorkoutsPerMonth …) so a tier change on the
+// backend needs no client release; a null limit means unlimited.
+//
+//   await Entitlements.load({ usage: true });
+//   Entitlements.has('hasNutritionTracking')        → boolean
+//   Entitlements.remaining('workouts')              → number | Infinity
+//   Entitlements.require('hasAdvancedAnalytics')    → false + upgrade modal when locked
+//
+// Markup can be gated declaratively — a click on a locked element opens the
+// upgrade prompt instead of running its handler:
+//   <button data-requires-plan="pro">…</button>
+//   <a data-requires-feature="hasNutritionTracking" data-upgrade-label="Nutrition Tracking">…</a>
+const Entitlements = {
+    FEATURES: {
+        hasAdvancedAnalytics: 'Advanced Analytics',
+        hasPersonalCoaching:  'AI Personal Coach',
+        hasNutritionTracking: 'Nutrition Tracking',
+        hasOfflineAccess:     'Offline Access',
+    },
+
+    // quota name → plan limit field, label for the upgrade prompt
+    QUOTAS: {
+        workouts: { limit: 'maxWorkoutsPerMonth', label: 'Unlimited Workouts' },
+        programs: { limit: 'maxPrograms',         label: 'More Monthly Program Slots' },
+    },
+
+    ACTIVE_STATUSES: ['ACTIVE', 'TRIALING', 'PAST_DUE'],
+
+    _plan: null,
+    _sub: null,
+    _catalog: null,
+    _usage: {},          // quota → count used this month
+    _loading: null,
+    _wired: false,
+
+    /**
+     * Resolve the live plan (and, with { usage: true }, this month's usage).
+     * Concurrent callers share one load; { fresh: true } forces a re-read.
+     */
+    async load({ usage = false, fresh = false } = {}) {
+        if (fresh) this.reset();
+        if (!this._loading) {
+            this._loading = fetchActivePlan().then(({ plan, sub }) => {
+                this._plan = plan || FREE_PLAN_DEFAULTS;
+                this._sub = sub;
+                this.applyGates();
+            });
+        }
+        await this._loading;
+        if (usage) await this.loadUsage();
+        return this;
+    },
+
+    get loaded() { return !!this._plan; },
+
+    /** Forget the resolved plan — called when the subscription changes. */
+    reset() {
+        this._plan = null;
+        this._sub = null;
+        this._usage = {};
+        this._loading = null;
+    },
+
+    plan() { return this._plan || FREE_PLAN_DEFAULTS; },
+    subscription() { return this._sub; },
+
+    /** 'free' | 'pro' | 'elite' — falls back to the stored user until load() resolves. */
+    tier() {
+        if (!this._plan) return this._tierFromStoredUser();
+        const slug = String(this._plan.slug || '').toLowerCase();
+        return slug in PLAN_HIERARCHY ? slug : 'free';
+    },
+
+    isTrial() {
+        if (this._sub) return this._sub.status === 'TRIALING';
+        return this._legacyPlanString().includes('TRIAL');
+    },
+
+    isAtLeast(minPlan) {
+        const min = this._normaliseTier(minPlan);
+        return (PLAN_HIERARCHY[this.tier()] ?? 0) >= (PLAN_HIERARCHY[min] ?? 0);
+    },
+
+    has(feature) {
+        const value = this.plan()[feature];
+        // Free defaults fill gaps in a partial plan payload; paid tiers only unlock what they list
+        return !!(value ?? (this.tier() === 'free' ? FREE_PLAN_DEFAULTS[feature] : false));
+    },
+
+    /** Limit for a quota ('workouts' | 'programs'), Infinity when unlimited. */
+    limit(quota) {
+        const field = this.QUOTAS[quota]?.limit;
+        if (!field) return Infinity;
+        const plan = this.plan();
+        const raw = this.tier() === 'free' ? (plan[field] ?? FREE_PLAN_DEFAULTS[field]) : plan[field];
+        const n = Number(raw);
+        return raw == null || !Number.isFinite(n) || n < 0 ? Infinity : n;
+    },
+
+    used(quota) { return this._usage[quota] ?? 0; },
+
+    remaining(quota) {
+        const limit = this.limit(quota);
+        return limit === Infinity ? Infinity : Math.max(0, limit - this.used(quota));
+    },
+
+    canUse(quota) { return this.remaining(quota) > 0; },
+
+    setUsage(quota, count) { this._usage[quota] = Math.max(0, Number(count) || 0); },
+    recordUsage(quota, delta = 1) { this.setUsage(quota, this.used(quota) + delta); },
+
+    /**
+     * Fetch this month's usage for every quota the plan actually limits.
+     * Unlimited plans skip the calls entirely.
+     */
+    async loadUsage() {
+        const jobs = [];
+        if (this.limit('workouts') !== Infinity) {
+            jobs.push(ProgressAPI.getStats('30d').then(res => {
+                const s = res?.data?.stats || res?.data || {};
+                this.setUsage('workouts', s.totalWorkouts ?? s.workoutCount ?? 0);
+            }).catch(() => {}));
+        }
+        if (this.limit('programs') !== Infinity) {
+            jobs.push(ProgramsAPI.getUserPrograms().then(res => {
+                const list = Array.isArray(res?.data) ? res.data
+                    : Array.isArray(res?.data?.enrollments) ? res.data.enrollments
+                    : Array.isArray(res?.enrollments) ? res.enrollments : [];
+                this.countEnrollments(list);
+            }).catch(() => {}));
+        }
+        await Promise.all(jobs);
+    },
+
+    /**
+     * Program quota is monthly usage, not active slots — completed programs
+     * still count until the calendar month changes. Enrollments with a missing
+     * or unparseable timestamp are counted so the quota can't be bypassed.
+     */
+    countEnrollments(enrollments) {
+        const now = new Date();
+        const count = (enrollments || []).filter(e => {
+            if (e?.notStarted) return false;   // a custom program nobody has enrolled in yet
+            const raw = e?.createdAt || e?.enrolledAt || e?.startedAt || e?.updatedAt || e?.completedAt;
+            if (!raw) return true;
+            const d = new Date(raw);
+            if (Number.isNaN(d.getTime())) return true;
+            return d.getFullYear() === now.getFullYear() && d.getMonth() === now.getMonth();
+        }).length;
+        this.setUsage('programs', count);
+        return count;
+    },
+
+    /**
+     * Lowest tier that unlocks a feature flag or lifts a quota, read from the
+     * plan catalogue once it has been fetched; 'pro' until then.
+     */
+    minPlanFor(requirement) {
+        if (requirement in PLAN_HIERARCHY) return requirement;
+        const field = this.QUOTAS[requirement]?.limit;
+        const unlocks = plan => field ? plan[field] == null : !!plan[requirement];
+        const match = (this._catalog || [])
+            .filter(p => String(p.slug || '').toLowerCase() in PLAN_HIERARCHY)
+            .sort((a, b) => PLAN_HIERARCHY[a.slug.toLowerCase()] - PLAN_HIERARCHY[b.slug.toLowerCase()])
+            .find(unlocks);
+        return match ? match.slug.toLowerCase() : 'pro';
+    },
+
+    async loadCatalog() {
+        if (this._catalog) return this._catalog;
+        try {
+            const res = await SubscriptionAPI.getPlans();
+            this._catalog = Array.isArray(res?.data) ? res.data : [];
+        } catch { this._catalog = []; }
+        return this._catalog;
+    },
+
+    /**
+     * True if the member is entitled to a tier ('pro'), a feature flag
+     * ('hasNutritionTracking') or has quota left ('workouts'). Otherwise shows
+     * the upgrade prompt and returns false.
+     */
+    allows(requirement) {
+        if (this._isTierName(requirement)) return this.isAtLeast(requirement);
+        if (requirement in this.QUOTAS) return this.canUse(requirement);
+        return this.has(requirement);
+    },
+
+    require(requirement, label) {
+        if (this.allows(requirement)) return true;
+        const tier = this._isTierName(requirement) ? this._normaliseTier(requirement) : null;
+        const name = label || this.QUOTAS[requirement]?.label || this.FEATURES[requirement]
+            || (tier ? `${tier.replace(/^./, c => c.toUpperCase())} Feature` : 'Premium Feature');
+        showUpgradePrompt(name, this.minPlanFor(tier || requirement));
+        return false;
+    },
+
+    // ── declarative gates ──
+    GATE_SELECTOR: '[data-requires-plan],[data-requires-feature]',
+
+    _gateRequirement(el) {
+        return el.dataset.requiresFeature || el.dataset.requiresPlan;
+    },
+
+    /** Mark gated elements locked/unlocked so pages can style them. */
+    applyGates(root = document) {
+        if (typeof document === 'undefined') return;
+        root.querySelectorAll?.(this.GATE_SELECTOR).forEach(el => {
+            const locked = !this.allows(this._gateRequirement(el));
+            el.toggleAttribute('data-locked', locked);
+            if (locked) el.setAttribute('aria-disabled', 'true'); else el.removeAttribute('aria-disabled');
+        });
+    },
+
+    // Capture phase so the element's own onclick never runs while locked
+    _onGateClick(e) {
+        const el = e.target.closest?.(Entitlements.GATE_SELECTOR);
+        if (!el) return;
+        const requirement = Entitlements._gateRequirement(el);
+        if (Entitlements.allows(requirement)) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        Entitlements.require(requirement, el.dataset.upgradeLabel);
+    },
+
+    wireGates() {
+        if (this._wired) return;
+        this._wired = true;
+        document.addEventListener('click', this._onGateClick, true);
+    },
+
+    // ── legacy plan strings ──
+    // Older code and the stored user use 'PREMIUM' / 'TRIAL' / 'ADMIN'; map them
+    // onto the free/pro/elite hierarchy so both vocabularies agree.
+    _isTierName(name) {
+        return String(name || '').toLowerCase() in PLAN_HIERARCHY || /^(premium|trial|admin)$/i.test(name);
+    },
+
+    _normaliseTier(name) {
+        const s = String(name || '').toLowerCase();
+        if (s in PLAN_HIERARCHY) return s;
+        if (s.includes('elite') || s.includes('premium') || s.includes('admin')) return 'elite';
+        if (s.includes('pro')) return 'pro';
+        return 'free';
+    },
+
+    _legacyPlanString() {
+        const user = TokenManager.getUser();
+        const sub = user?.subscriptionData || user?.subscription || {};
+        const plan = typeof sub === 'string' ? sub : (sub.plan?.slug || sub.plan || sub.type || sub.status || user?.role || 'FREE');
+        return String(plan).toUpperCase();
+    },
+
+    _tierFromStoredUser() {
+        return this._normaliseTier(this._legacyPlanString());
+    },
+};
+
 // ── PLAN DETECTION HELPERS ─────────────────────────────────────────────────────
-function getUserPlan() {
-    const user = TokenManager.getUser();
-    const sub = user?.subscriptionData || user?.subscription || {};
-    const plan = typeof sub === 'string' ? sub : (sub.plan || sub.type || sub.status || user?.role || 'FREE');
-    return String(plan).toUpperCase();
-}
-function isPlanAtLeast(minPlan) {
-    const order = ['FREE', 'TRIAL', 'PRO', 'PREMIUM', 'ADMIN'];
-    const userPlan = getUserPlan();
-    const userIdx = order.findIndex(p => userPlan.includes(p));
-    const minIdx  = order.indexOf(minPlan.toUpperCase());
-    return userIdx >= minIdx;
-}
-function isPremium()  { return isPlanAtLeast('PREMIUM'); }
-function isPro()      { return isPlanAtLeast('PRO'); }
-function isTrialUser(){ const p=getUserPlan(); return p.includes('TRIAL'); }
-function isFreeUser() { const p=getUserPlan(); return p==='FREE'||!p; }
+// Thin wrappers kept for existing callers — all answered by Entitlements.
+function getUserPlan()      { return Entitlements.tier().toUpperCase(); }
+function isPlanAtLeast(minPlan) { return Entitlements.isAtLeast(minPlan); }
+function isPremium()  { return Entitlements.isAtLeast('elite'); }
+function isPro()      { return Entitlements.isAtLeast('pro'); }
+function isTrialUser(){ return Entitlements.isTrial(); }
+function isFreeUser() { return Entitlements.tier() === 'free'; }
 
 
 // ── UTILITIES ─────────────────────────────────────────────────────────────────
@@ -949,6 +4739,7 @@ function isAuthenticated() {
 //     // ... rest of page init
 //   });
 async function requireAuth() {
+    _pageRequiresAuth = true;
     if (TokenManager.getAccessToken()) {
         _signalAuthReady(true);
         return true;
@@ -964,6 +4755,13 @@ async function requireAuth() {
         } catch { /* non-blocking */ }
         return true;
     }
+    // Offline with a known user on this device: stay on the page and let the
+    // service worker serve cached program/exercise data. Logs made now go to the
+    // offline outbox and sync once the 'online' handler below re-authenticates.
+    if (_refreshFailedOffline && TokenManager.getUser()) {
+        Toast.warning('You are offline — showing saved data. Changes will sync when you reconnect.');
+        return true;
+    }
     try { localStorage.setItem('redirectAfterLogin', window.location.pathname); } catch {}
     window.location.href = '/login';
     return false;
@@ -1029,18 +4827,15 @@ const SidebarUser = {
         });
     },
 
-    // Fetch live plan from API — keeps badge in sync after subscription changes
+    // Fetch live plan from API — keeps badge in sync after subscription changes.
+    // Goes through SubscriptionAPI so it shares the cached /subscriptions/current
+    // with fetchActivePlan instead of firing its own request; getCurrentSubscription
+    // unwraps the flat, nested (data.subscription) and bare response shapes.
     async _refreshBadgeFromAPI() {
         try {
-            const token = TokenManager.getAccessToken?.() || '';
-            if (!token) return;
-            const res = await fetch(API_CONFIG.baseURL + '/subscriptions/current', {
-                credentials: 'include',
-                headers: { 'Authorization': 'Bearer ' + token },
-            });
-            if (!res.ok) return;
-            const data = await res.json();
-            const sub = data?.subscription ?? data?.data?.subscription ?? data?.data ?? data;
+            if (!TokenManager.getAccessToken()) return;
+            const res = await SubscriptionAPI.getCurrentSubscription();
+            const sub = res?.data;
             if (!sub) return;
             const status = (sub?.status || '').toUpperCase();
             if (['CANCELLED','EXPIRED','INACTIVE','INCOMPLETE_EXPIRED'].includes(status)) {
@@ -1055,6 +4850,272 @@ const SidebarUser = {
     },
 };
 
+// ── NOTIFICATION CENTRE ───────────────────────────────────────────────────────
+// The sidebar bell + slide-out panel, shared by every page that has the markup:
+//   #sidebarNotifBtn / #sidebarNotifBadge (or #notifBadge), #notifPanel,
+//   #notifOverlay, #notifList, #markAllBtn
+// Pages keep their own panel CSS (.notif-item, .notif-icon-wrap …); this only
+// owns the behaviour. Mounted automatically once auth is ready; pages without a
+// #notifPanel are left alone.
+//   • live badge + new items from NotificationsAPI.subscribe
+//   • grouped by day (Today / Yesterday / weekday date)
+//   • mark-read / mark-all / delete applied optimistically, rolled back on failure
+//   • infinite scroll past the first page (createdAt cursor)
+//   • clicking an item deep-links to the related workout, program or achievement
+const NotificationCenter = {
+    PAGE_SIZE: 30,
+
+    TYPE_ICONS: {
+        welcome: '👋', sub_activated: '✅', sub_trial: '⏳', sub_expired: '⌛',
+        sub_cancelled: '✕', sub_renewed: '🔄', sub_failed: '⚠', milestone: '🏁',
+        achievement: '🏆', workout: '💪', program: '📋', reminder: '⏰', system: 'ℹ',
+    },
+    ICON_BG: {
+        welcome:       'rgba(201,168,76,0.14)',
+        sub_activated: 'rgba(59,191,138,0.12)',
+        sub_trial:     'rgba(251,191,36,0.12)',
+        sub_expired:   'rgba(156,163,175,0.10)',
+        sub_cancelled: 'rgba(224,84,84,0.12)',
+        sub_renewed:   'rgba(59,191,138,0.12)',
+        sub_failed:    'rgba(224,84,84,0.12)',
+        milestone:     'rgba(201,168,76,0.18)',
+        achievement:   'rgba(201,168,76,0.18)',
+        system:        'rgba(91,156,246,0.12)',
+    },
+
+    _mounted: false,
+    _open: false,
+    _items: [],
+    _unread: 0,
+    _loaded: false,      // first page fetched
+    _loadingMore: false,
+    _exhausted: false,   // no older notifications left
+    _unsubscribe: null,
+
+    mount() {
+        if (this._mounted || !document.getElementById('notifPanel')) return;
+        this._mounted = true;
+        const list = document.getElementById('notifList');
+        list?.addEventListener('click', e => this._onListClick(e));
+        list?.addEventListener('scroll', () => {
+            if (list.scrollTop + list.clientHeight >= list.scrollHeight - 80) this.loadMore();
+        });
+        document.addEventListener('keydown', e => { if (e.key === 'Escape' && this._open) this.close(); });
+        this._unsubscribe = NotificationsAPI.subscribe({
+            onUnreadCount: count => this._setUnread(count),
+            onNotification: n => {
+                if (this._items.some(x => x.id === n.id)) return;
+                this._items.unshift(n);
+                if (this._open) this._render();
+            },
+        });
+    },
+
+    toggle() { this._open ? this.close() : this.open(); },
+
+    open() {
+        this._open = true;
+        document.getElementById('notifPanel')?.classList.add('open');
+        document.getElementById('notifOverlay')?.classList.add('open');
+        this.refresh();
+    },
+
+    close() {
+        this._open = false;
+        document.getElementById('notifPanel')?.classList.remove('open');
+        document.getElementById('notifOverlay')?.classList.remove('open');
+    },
+
+    async refresh() {
+        if (!this._loaded) this._renderSkeleton();
+        const d = await NotificationsAPI.getAll(this.PAGE_SIZE);
+        this._items = d.notifications || [];
+        this._loaded = true;
+        this._exhausted = this._items.length < this.PAGE_SIZE;
+        this._setUnread(d.unreadCount ?? this._items.filter(n => !n.readAt).length);
+        this._render();
+    },
+
+    async loadMore() {
+        if (!this._loaded || this._loadingMore || this._exhausted || !this._items.length) return;
+        this._loadingMore = true;
+        this._render();
+        try {
+            const before = this._items[this._items.length - 1].createdAt;
+            const d = await NotificationsAPI.getAll(this.PAGE_SIZE, { before });
+            const known = new Set(this._items.map(n => n.id));
+            const older = (d.notifications || []).filter(n => !known.has(n.id));
+            this._items.push(...older);
+            // A server that ignores the cursor returns the same page again — stop there
+            if (!older.length || (d.notifications || []).length < this.PAGE_SIZE) this._exhausted = true;
+        } finally {
+            this._loadingMore = false;
+            this._render();
+        }
+    },
+
+    async markRead(id) {
+        const n = this._items.find(x => x.id === id);
+        if (!n || n.readAt) return;
+        n.readAt = new Date().toISOString();
+        this._setUnread(this._unread - 1);
+        this._render();
+        try { await NotificationsAPI.markRead(id); }
+        catch {
+            n.readAt = null;
+            this._setUnread(this._unread + 1);
+            this._render();
+        }
+    },
+
+    async markAllRead() {
+        const snapshot = this._items.map(n => ({ ...n }));
+        const prevUnread = this._unread;
+        const now = new Date().toISOString();
+        this._items.forEach(n => { n.readAt = n.readAt || now; });
+        this._setUnread(0);
+        this._render();
+        try { await NotificationsAPI.markAllRead(); }
+        catch {
+            this._items = snapshot;
+            this._setUnread(prevUnread);
+            this._render();
+            Toast.error('Could not mark notifications as read. Try again.');
+        }
+    },
+
+    async remove(id) {
+        const idx = this._items.findIndex(x => x.id === id);
+        if (idx < 0) return;
+        const [n] = this._items.splice(idx, 1);
+        if (!n.readAt) this._setUnread(this._unread - 1);
+        this._render();
+        try { await NotificationsAPI.delete(id); }
+        catch {
+            this._items.splice(idx, 0, n);
+            if (!n.readAt) this._setUnread(this._unread + 1);
+            this._render();
+            Toast.error('Could not delete notification. Try again.');
+        }
+    },
+
+    // Where a notification should take the user — server link first, then by type
+    linkFor(n) {
+        if (n.link) return n.link;
+        const meta = n.metadata || n.data || {};
+        const q = encodeURIComponent;
+        if (meta.exerciseId)                               return `/workout-session?id=${q(meta.exerciseId)}${meta.exerciseName ? `&name=${q(meta.exerciseName)}` : ''}`;
+        if (meta.programId)                                return `/program-detail?id=${q(meta.programId)}${meta.enrollmentId ? `&enrollmentId=${q(meta.enrollmentId)}` : ''}`;
+        if (n.type === 'achievement' || n.type === 'milestone') return '/progress#achievements';
+        if (meta.workoutLogId || n.type === 'workout')     return '/progress';
+        if (String(n.type || '').startsWith('sub_'))       return '/subscription';
+        return '';
+    },
+
+    _onListClick(e) {
+        const del = e.target.closest('.notif-delete-btn');
+        const item = e.target.closest('.notif-item');
+        if (!item) return;
+        const id = item.dataset.id;
+        if (del) { e.stopPropagation(); this.remove(id); return; }
+        const n = this._items.find(x => x.id === id);
+        if (!n) return;
+        this.markRead(id);
+        const link = this.linkFor(n);
+        if (link) { this.close(); window.location.href = link; }
+    },
+
+    _setUnread(count) {
+        this._unread = Math.max(0, count | 0);
+        const badge = document.getElementById('sidebarNotifBadge') || document.getElementById('notifBadge');
+        const btn   = document.getElementById('sidebarNotifBtn');
+        const dot   = document.querySelector('.bell-pulse-dot');
+        if (badge) {
+            badge.textContent = this._unread > 99 ? '99+' : String(this._unread);
+            badge.classList.toggle('visible', this._unread > 0);
+        }
+        if (this._unread > 0) {
+            dot?.classList.add('active');
+            // Restart the shake animation on every new unread
+            if (btn) { btn.classList.remove('has-unread'); void btn.offsetWidth; btn.classList.add('has-unread'); }
+        } else {
+            btn?.classList.remove('has-unread');
+            dot?.classList.remove('active');
+        }
+        const markBtn = document.getElementById('markAllBtn');
+        if (markBtn) markBtn.style.display = this._items.some(n => !n.readAt) ? 'block' : 'none';
+    },
+
+    _dayLabel(date) {
+        const startOf = d => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+        const diffDays = Math.round((startOf(new Date()) - startOf(date)) / 86400000);
+        if (diffDays === 0) return 'Today';
+        if (diffDays === 1) return 'Yesterday';
+        return date.toLocaleDateString('en-US', {
+            weekday: 'long', month: 'short', day: 'numeric',
+            ...(date.getFullYear() !== new Date().getFullYear() ? { year: 'numeric' } : {}),
+        });
+    },
+
+    _timeAgo(d) {
+        const s = Math.floor((Date.now() - d.getTime()) / 1000);
+        if (s < 60)    return 'just now';
+        if (s < 3600)  return Math.floor(s / 60) + 'm ago';
+        if (s < 86400) return Math.floor(s / 3600) + 'h ago';
+        return d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    },
+
+    _renderSkeleton() {
+        const list = document.getElementById('notifList');
+        if (list) list.innerHTML = '<div class="notif-loading">Loading notifications…</div>';
+    },
+
+    _render() {
+        const list = document.getElementById('notifList');
+        if (!list) return;
+        const markBtn = document.getElementById('markAllBtn');
+        if (markBtn) markBtn.style.display = this._items.some(n => !n.readAt) ? 'block' : 'none';
+
+        if (!this._items.length) {
+            list.innerHTML = `
+                <div class="notif-empty">
+                    <div class="notif-empty-icon">🔔</div>
+                    <p>All caught up!<br>Notifications about your plan,<br>progress, and milestones appear here.</p>
+                </div>`;
+            return;
+        }
+
+        const esc = v => String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        let html = '';
+        let lastDay = null;
+        this._items.forEach(n => {
+            const created = new Date(n.createdAt);
+            const day = this._dayLabel(created);
+            if (day !== lastDay) { html += `<div class="notif-day">${esc(day)}</div>`; lastDay = day; }
+            const link = this.linkFor(n);
+            html += `
+                <div class="notif-item${n.readAt ? '' : ' unread'}${link ? ' has-link' : ''}" data-id="${esc(n.id)}">
+                    <div class="notif-icon-wrap" style="background:${this.ICON_BG[n.type] || 'rgba(255,255,255,0.05)'}">${esc(n.icon || this.TYPE_ICONS[n.type] || '🔔')}</div>
+                    <div class="notif-content">
+                        <div class="notif-title">${esc(n.title)}</div>
+                        <div class="notif-body">${esc(n.body)}</div>
+                        <div class="notif-time">${this._timeAgo(created)}</div>
+                    </div>
+                    <button class="notif-delete-btn" aria-label="Dismiss">✕</button>
+                </div>`;
+        });
+        if (this._loadingMore) html += '<div class="notif-loading">Loading more…</div>';
+        else if (this._exhausted && this._items.length > this.PAGE_SIZE) html += '<div class="notif-loading">No older notifications</div>';
+        list.innerHTML = html;
+    },
+};
+
+// Inline onclick handlers in the panel markup call these
+window.toggleNotifPanel  = () => NotificationCenter.toggle();
+window.openNotifPanel    = () => NotificationCenter.open();
+window.closeNotifPanel   = () => NotificationCenter.close();
+window.markAllNotifsRead = () => NotificationCenter.markAllRead();
+
 // Convenience wrapper — kept for backward compat with pages that call populateSidebarUser()
 function populateSidebarUser() { SidebarUser.populate(); }
 
@@ -1118,13 +5179,63 @@ document.addEventListener('DOMContentLoaded', () => {
             .log-actions button { flex:1; padding:0.9rem; border-radius:10px; border:none; font-weight:700; font-size:1rem; cursor:pointer; font-family:inherit; }
             .btn-log-submit { background:linear-gradient(135deg,#D4AF37 0%,#F2D479 50%,#B8860B 100%); color:#000; }
             .btn-log-cancel { background:rgba(255,255,255,0.06); color:#fff; border:1px solid rgba(255,255,255,0.08) !important; }
+            .notif-day { padding:0.9rem 1.25rem 0.35rem; font-size:0.68rem; font-weight:700; letter-spacing:1.2px; text-transform:uppercase; color:var(--text-secondary,#888); }
+            .notif-item.has-link { cursor:pointer !important; }
+            .notif-loading { padding:1rem; text-align:center; font-size:0.8rem; color:var(--text-secondary,#888); }
+            .sync-badge { display:inline-block; margin-left:0.4rem; padding:0.15rem 0.5rem; border-radius:999px; font-size:0.68rem; font-weight:700; letter-spacing:0.3px; background:rgba(251,191,36,0.14); color:#fbbf24; border:1px solid rgba(251,191,36,0.35); white-space:nowrap; }
+            .sync-badge.rejected { cursor:pointer; font-family:inherit; background:rgba(248,113,113,0.14); color:#f87171; border-color:rgba(248,113,113,0.35); }
+            [data-requires-plan][data-locked], [data-requires-feature][data-locked] { opacity:0.6; cursor:pointer; }
         `;
         document.head.appendChild(styles);
     }
     updateNavigation();
     populateSidebarUser();
+    OfflineQueue.refreshBadge();
+    Entitlements.wireGates();
+    // Replay the offline outbox and start the bell once the page has a token (requireAuth / waitForAuth)
+    _getAuthReadyPromise().then(ok => {
+        if (!ok) return;
+        OfflineQueue.flush();
+        NotificationCenter.mount();
+        Entitlements.load().then(() => Entitlements.loadCatalog()).catch(() => {});
+    });
+});
+
+TabSync.init();
+
+// Pause / resume the proactive refresh timer with tab visibility. On return, a
+// token inside the lead window (or already expired) is renewed straight away.
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        clearTimeout(TokenManager._refreshTimer);
+        TokenManager._refreshTimer = null;
+    } else if (TokenManager.getAccessToken()) {
+        if (TokenManager.isAccessTokenExpiring(TokenManager.REFRESH_LEAD_MS)) refreshAccessToken();
+        else TokenManager._scheduleRefresh();
+    }
+});
+
+// Another tab logged a workout — this tab's cached progress reads are stale.
+// Registered before the pages' own storage listeners, so their reloads miss the cache.
+window.addEventListener('storage', e => {
+    if (e.key === 'ff_workout_logged' || e.key === 'ff_achievement_update') ResponseCache.invalidate('progress');
+});
+
+window.addEventListener('online', async () => {
+    // A page opened offline has no access token yet — restore it before replaying
+    if (!TokenManager.getAccessToken() && TokenManager.getUser()) await refreshAccessToken();
+    OfflineQueue.flush();
 });
 
+// Offline shell — see sw.js. The API base is passed in so it lives only in API_CONFIG.
+if ('serviceWorker' in navigator && location.protocol === 'https:') {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`/sw.js?api=${encodeURIComponent(API_CONFIG.baseURL)}`)
+            .catch(err => console.warn('[sw] registration failed', err));
+    });
+}
+
 // Add near the other globals, after _getAuthReadyPromise is defined
 window.waitForAuth = () => _getAuthReadyPromise();
 
@@ -1146,3 +5257,6 @@ const AdminAPI = {
 
 
 window.AdminAPI = AdminAPI;
+window.ApiError = ApiError;
+window.NetworkError = NetworkError;
+window.Entitlements = Entitlements;
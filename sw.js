@@ -0,0 +1,185 @@
+// FLOWFIT — Service Worker
+// Offline shell for the Vercel-hosted pages.
+//   • Page shells (clean URLs from vercel.json), api.js, theme.js/theme.css and the
+//     exercise images are precached on install.
+//   • Navigations are network-first so a deploy is picked up immediately, falling
+//     back to the cached shell (query string ignored — /program-detail?id=… maps
+//     to the /program-detail shell). api.js and the theme files are network-first
+//     too: a new page must never run against the previous deploy's api.js.
+//   • Read-only catalogue data (exercise library, programs) is served
+//     stale-while-revalidate so a member can open their program and run a
+//     session with no signal. The member's own enrollments change with every
+//     completed day, so they are network-first with the cache as the offline
+//     fallback. Everything else under the API — auth, mutations, billing —
+//     always goes to the network untouched.
+//   • Other same-origin files (images) are stale-while-revalidate.
+//
+// SW_VERSION names the caches; bump it when the precache lists change so the
+// old caches are dropped on activate.
+//
+// Registered from api.js with ?api=<API_CONFIG.baseURL> so the API location is
+// defined in one place only.
+
+const SW_VERSION   = 'v2';
+const SHELL_CACHE  = `ff-shell-${SW_VERSION}`;
+const API_CACHE    = `ff-api-${SW_VERSION}`;
+const ASSET_CACHE  = `ff-assets-${SW_VERSION}`;
+
+const API_BASE = new URL(self.location.href).searchParams.get('api') || 'https://fit.cctamcc.site/api/v1';
+
+const PAGE_SHELLS = [
+    '/', '/dashboard', '/workouts', '/workout-session', '/programs', '/program-detail',
+    '/program-builder', '/progress', '/nutrition', '/profile', '/subscription', '/login', '/register',
+    '/termsofservice', '/cookiepolicy', '/contact', '/about', '/blog', '/policy',
+];
+
+// Code that must match the page shell it runs in — served network-first
+const CODE_ASSETS = ['/api.js', '/theme.js', '/theme.css'];
+
+const STATIC_ASSETS = [
+    ...CODE_ASSETS,
+    '/fit.svg', '/fit.webp', '/fit1.webp', '/Untitled.webp', '/image.jpg',
+];
+
+const EXERCISE_IMAGES = [
+    'boxjumps', 'boxjumps1', 'burpees', 'burpees1', 'buttkicks', 'buttkicks1',
+    'childpose', 'childpose1', 'crunches', 'crunches1', 'downwarddog', 'glutebridges',
+    'highknees', 'hipflexor', 'jumpingjacks', 'jumpsquats', 'legraises', 'lunges',
+    'mountainclimbers', 'pikepushups', 'plank', 'pushups', 'russiantwists', 'sprints',
+    'squats', 'tricepdips',
+].map(name => `/public/exercises/${name}.webp`);
+
+// Read-only API routes served stale-while-revalidate (paths relative to API_BASE).
+//   WorkoutsAPI.getExercises / searchExercises / getExerciseById → /workouts… or /exercises…
+//   ProgramsAPI.getPrograms / getProgramById                     → /programs, /programs/:id
+const API_SWR_ROUTES = [
+    /^\/workouts(\/[^/]+)?$/,
+    /^\/exercises(\/[^/]+)?$/,
+    /^\/programs$/,
+    /^\/programs\/[^/]+$/,
+];
+
+// Per-user, mutable API routes — network-first, cached copy only when offline.
+//   ProgramsAPI.getUserPrograms   → /programs/my-enrollments
+//   ProgramsAPI.getCustomPrograms → /programs/custom
+const API_NETWORK_FIRST_ROUTES = [
+    /^\/programs\/(my-enrollments|custom)$/,
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Add individually — one missing file must not abort the whole install
+        await Promise.all([...PAGE_SHELLS, ...STATIC_ASSETS, ...EXERCISE_IMAGES].map(url =>
+            cache.add(new Request(url, { cache: 'reload' })).catch(err =>
+                console.warn('[sw] precache skipped', url, err?.message))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, API_CACHE, ASSET_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(n => n.startsWith('ff-') && !keep.includes(n)).map(n => caches.delete(n)));
+        await self.clients.claim();
+    })());
+});
+
+// TokenManager.clearTokens() posts FF_CLEAR_USER_CACHE on logout — enrollments
+// and other per-user API data must not be served to the next user of the device.
+self.addEventListener('message', event => {
+    if (event.data?.type === 'FF_CLEAR_USER_CACHE') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const req = event.request;
+    if (req.method !== 'GET') return;
+    const url = new URL(req.url);
+
+    if (req.url.startsWith(API_BASE)) {
+        const path = url.pathname.slice(new URL(API_BASE).pathname.length) || '/';
+        if (API_NETWORK_FIRST_ROUTES.some(re => re.test(path))) {
+            event.respondWith(networkFirst(req, API_CACHE, { ignoreVary: true }));
+        } else if (API_SWR_ROUTES.some(re => re.test(path))) {
+            event.respondWith(staleWhileRevalidate(event, API_CACHE, { ignoreVary: true }));
+        }
+        return;
+    }
+
+    if (req.mode === 'navigate') {
+        event.respondWith(networkFirstPage(req));
+        return;
+    }
+
+    if (url.origin === self.location.origin && CODE_ASSETS.includes(url.pathname)) {
+        event.respondWith(networkFirst(req, ASSET_CACHE));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, ASSET_CACHE));
+        return;
+    }
+
+    // Third-party static scripts (Chart.js on /progress) — cache what we've seen
+    if (url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(staleWhileRevalidate(event, ASSET_CACHE));
+    }
+});
+
+async function networkFirstPage(req) {
+    const cache = await caches.open(SHELL_CACHE);
+    const url = new URL(req.url);
+    // vercel.json cleanUrls: /dashboard.html → /dashboard
+    const shellPath = url.pathname.replace(/\.html$/, '').replace(/^\/index$/, '/');
+    try {
+        const fresh = await fetch(req);
+        if (fresh.ok && !fresh.redirected && !url.search) cache.put(shellPath, fresh.clone());
+        return fresh;
+    } catch {
+        const cached = await cache.match(shellPath, { ignoreSearch: true })
+            || await cache.match('/dashboard');
+        if (cached) return cached;
+        return new Response('<h1>You are offline</h1><p>Reconnect and try again.</p>', {
+            status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' },
+        });
+    }
+}
+
+async function networkFirst(req, cacheName, matchOptions = {}) {
+    const cache = await caches.open(cacheName);
+    try {
+        const fresh = await fetch(req);
+        if (fresh.ok) cache.put(req, fresh.clone());
+        return fresh;
+    } catch (err) {
+        // Offline: last good copy, or the install-time precache for assets
+        const cached = await cache.match(req, matchOptions)
+            || (cacheName === ASSET_CACHE ? await caches.match(req, { ignoreSearch: true }) : undefined);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName, matchOptions = {}) {
+    const req = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(req, matchOptions)
+        || (cacheName === ASSET_CACHE ? await caches.match(req, { ignoreSearch: true }) : undefined);
+
+    const network = fetch(req).then(res => {
+        // Only cache successful responses — never a 401/500 that would be replayed offline
+        if (res && (res.ok || res.type === 'opaque')) cache.put(req, res.clone());
+        return res;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
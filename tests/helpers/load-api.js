@@ -0,0 +1,28 @@
+// api.js is a classic browser script whose top-level declarations are globals.
+// loadApi() evaluates it in a bare VM context with just enough browser globals
+// for the pure modules (ProgressionEngine, ProgramSchedule …) and returns the
+// requested ones by name.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadApi(...names) {
+    const store = {};
+    const storage = {
+        getItem: k => store[k] ?? null, setItem: (k, v) => { store[k] = String(v); },
+        removeItem: k => { delete store[k]; }, key: () => null, length: 0, clear() {},
+    };
+    const ctx = {
+        console, setTimeout, clearTimeout, setInterval, clearInterval, URL, URLSearchParams, AbortController,
+        structuredClone, TextEncoder, localStorage: storage, sessionStorage: storage, navigator: {},
+        location: { protocol: 'http:', pathname: '/', origin: 'http://localhost' },
+        document: { addEventListener() {}, cookie: '', querySelectorAll: () => [] },
+        addEventListener() {},
+    };
+    ctx.window = ctx;
+    vm.createContext(ctx);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', '..', 'api.js'), 'utf8'), ctx);
+    return vm.runInContext(`({ ${names.join(', ')} })`, ctx);
+}
+
+module.exports = { loadApi };
@@ -0,0 +1,36 @@
+// ProgressionEngine is pure — see helpers/load-api.js. Run: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApi } = require('./helpers/load-api');
+
+const { ProgressionEngine } = loadApi('ProgressionEngine');
+const sets = (n, reps, loadKg) => Array.from({ length: n }, (_, i) => ({ setNumber: i + 1, reps, loadKg, warmup: false }));
+
+test('load comes from an older log when the newest has no setLogs', () => {
+    const s = ProgressionEngine.suggest([
+        { completedAt: '2026-10-10T10:00:00Z', sets: 3, reps: 10 },
+        { completedAt: '2026-10-07T10:00:00Z', setLogs: sets(3, 10, 60) },
+    ], { exerciseName: 'Bench Press' });
+    assert.strictEqual(s.type, 'intensity');
+    assert.strictEqual(s.loadKg, 60);
+    assert.strictEqual(s.nextTarget, '3 × 11 @ 60 kg');
+});
+
+test('load comes from an older log when the newest sets carry no load', () => {
+    const s = ProgressionEngine.suggest([
+        { completedAt: '2026-10-10T10:00:00Z', setLogs: sets(2, 10, null) },
+        { completedAt: '2026-10-07T10:00:00Z', setLogs: sets(3, 12, 40) },
+    ], { exerciseName: 'Bench Press' });
+    assert.strictEqual(s.type, 'overload');
+    assert.strictEqual(s.loadKg, 42.5);
+    assert.strictEqual(s.nextTarget, '3 × 8 @ 42.5 kg');
+});
+
+test('falls back to reps when no log in the window carried load', () => {
+    const s = ProgressionEngine.suggest([
+        { completedAt: '2026-10-10T10:00:00Z', setLogs: sets(3, 10, null) },
+        { completedAt: '2026-10-07T10:00:00Z', sets: 3, reps: 8 },
+    ], { exerciseName: 'Push-ups' });
+    assert.strictEqual(s.loadKg, null);
+    assert.strictEqual(s.nextTarget, '3 × 12');
+});
@@ -0,0 +1,30 @@
+// ProgramSchedule.plan is pure date arithmetic — see helpers/load-api.js. Run: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApi } = require('./helpers/load-api');
+
+const { ProgramSchedule } = loadApi('ProgramSchedule');
+const MWF   = { weekdays: [1, 3, 5], startDate: '2026-10-05' };
+const today = new Date(2026, 9, 19); // Monday
+
+test('shift keeps the weekly slots and pushes the end date out', () => {
+    const p = ProgramSchedule.plan({ ...MWF, mode: 'shift' }, { completedDays: 2, totalDays: 12, today });
+    assert.strictEqual(p.missed, 4);
+    assert.strictEqual(p.next.date, '2026-10-19');
+    assert.strictEqual(p.endDate, '2026-11-09');
+    assert.ok(p.sessions.every(s => !s.extra));
+});
+
+test('compress borrows at most one rest day a week and never three days in a row', () => {
+    const p = ProgramSchedule.plan({ ...MWF, mode: 'compress' }, { completedDays: 2, totalDays: 12, today });
+    const dates = p.sessions.map(s => s.date);
+    assert.strictEqual(dates.length, 10);
+    assert.deepStrictEqual([...p.sessions.filter(s => s.extra).map(s => s.date)], ['2026-10-24']);
+    for (let i = 2; i < dates.length; i++) {
+        const span = (Date.parse(dates[i]) - Date.parse(dates[i - 2])) / 864e5;
+        assert.ok(span > 2, `three consecutive days ending ${dates[i]}`);
+    }
+    // what could not be borrowed spills past the planned end, still sooner than shifting
+    assert.strictEqual(p.plannedEndDate, '2026-10-30');
+    assert.strictEqual(p.endDate, '2026-11-06');
+});